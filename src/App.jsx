@@ -1,142 +1,369 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { PlusCircle, TrendingUp, Target, Calendar, BarChart3 } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  PlusCircle,
+  TrendingUp,
+  Target,
+  Calendar,
+  BarChart3,
+  Upload,
+  Database,
+  Download,
+  Pencil,
+  X,
+  Undo2,
+  Redo2,
+  GitBranch,
+  GraduationCap
+} from 'lucide-react';
+import { parsePgn, gameFieldsFromPgn, moveLabel } from './lib/pgn.js';
+import { parseFen, sanToMove, moveToSan } from './lib/chess.js';
+import {
+  defaultGameForm,
+  defaultMistakeForm,
+  SEVERITIES,
+  severityWeight,
+  ROOT_CAUSES
+} from './lib/games.js';
+import { pgnClocks, formatClock, parseClockInput, CLOCK_BUCKETS, clockBucket } from './lib/clock.js';
+import { inferGamePhase } from './lib/phase.js';
+import { gamesToCsv, mistakesToCsv } from './lib/csv.js';
+import { downloadFile, todayStamp } from './lib/download.js';
+import { gamesToPgn } from './lib/pgnExport.js';
+import ImportGames from './components/ImportGames.jsx';
+import GameViewer from './components/GameViewer.jsx';
+import MistakePosition from './components/MistakePosition.jsx';
+import BackupRestore from './components/BackupRestore.jsx';
+import Toast from './components/Toast.jsx';
+import HistoryFilters from './components/HistoryFilters.jsx';
+import EngineAnalysis from './components/EngineAnalysis.jsx';
+import AccuracyCard from './components/AccuracyCard.jsx';
+import RatingChart from './components/RatingChart.jsx';
+import RatingBandsCard from './components/RatingBandsCard.jsx';
+import OpeningStatsCard from './components/OpeningStatsCard.jsx';
+import RepertoireExplorer from './components/RepertoireExplorer.jsx';
+import PuzzleTrainer from './components/PuzzleTrainer.jsx';
+import TaxonomyEditor from './components/TaxonomyEditor.jsx';
+import TimeUsageChart from './components/TimeUsageChart.jsx';
+import TimeManagementCard from './components/TimeManagementCard.jsx';
+import {
+  getAllGames,
+  getGame,
+  getAllReviews,
+  putReview,
+  getTaxonomy,
+  putCategories,
+  applyTaxonomyChange,
+  putGame,
+  deleteGame,
+  addGames,
+  putGames,
+  replaceAllGames
+} from './lib/db.js';
+import { migrateGames, CURRENT_SCHEMA_VERSION } from './lib/migrations.js';
+import {
+  emptyHistory,
+  loadHistory,
+  saveHistory,
+  recordChange,
+  undoChange,
+  redoChange,
+  mapHistoryGames
+} from './lib/undoHistory.js';
+import {
+  filtersFromSearch,
+  filtersToSearch,
+  filterOptions,
+  filterGames,
+  sortGames,
+  paginate
+} from './lib/historyFilters.js';
+import { parseRoute, routeHash } from './lib/router.js';
+import {
+  computeAccuracyStats,
+  computeAccuracyTrend,
+  compareReportedMistakes
+} from './lib/accuracy.js';
+import {
+  estimateMyRating,
+  ratingSeries,
+  ratingMistakeTrend,
+  ratingBandStats,
+  RATING_BANDS
+} from './lib/rating.js';
+import { openingStats } from './lib/openings.js';
+import { puzzleCards, trainingStats } from './lib/training.js';
+import { timeManagementStats, OPENING_MOVES, TIME_TROUBLE_SHARE } from './lib/timeUsage.js';
+import {
+  TIME_CONTROL_CATEGORIES,
+  TIME_CONTROL_GROUPINGS,
+  parseTimeControlInput,
+  timeControlCategory,
+  formatTimeControl,
+  noTimeControl
+} from './lib/timeControl.js';
+import {
+  defaultTaxonomy,
+  findCategory,
+  categoryLabel,
+  categoryTip,
+  mistakeLabel,
+  groupedCategories,
+  remapGame
+} from './lib/taxonomy.js';
 
 /**
  * ChessTracker with Insight Engine
- * - Uses IndexedDB for persistence (better performance, larger storage)
+ * - Uses IndexedDB for persistence (see lib/db.js), one record written per change
  * - Fixed delete/save/load logic
  * - Insight engine produces human-friendly recommendations
  */
 
-const DB_NAME = 'chessTrackerDB';
-const STORE_NAME = 'games';
-const DB_VERSION = 1;
+const USERNAME_KEY = 'chessTrackerUsername';
 
-let db = null;
+// Tally a mistake into { [key]: { count, weight, blunders } }
+const tallyMistake = (stats, key, m) => {
+  const stat = (stats[key] = stats[key] || { count: 0, weight: 0, blunders: 0 });
+  stat.count++;
+  stat.weight += severityWeight(m.severity);
+  if (m.severity === 'blunder') stat.blunders++;
+};
 
-// Initialize IndexedDB
-const initDB = () => {
-  return new Promise((resolve, reject) => {
-    if (db) {
-      resolve(db);
-      return;
-    }
+const ChessTracker = () => {
+  const [games, setGames] = useState([]);
+  // The URL hash decides the view and the game it is about (lib/router.js)
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+  const [gameForm, setGameForm] = useState(defaultGameForm);
+  const [mistakeForm, setMistakeForm] = useState(defaultMistakeForm);
+  const [username, setUsername] = useState(
+    () => localStorage.getItem(USERNAME_KEY) || ''
+  );
+  const [pgnStatus, setPgnStatus] = useState({ error: null, warnings: [] });
+  const [replayGameId, setReplayGameId] = useState(null);
+  const [storageError, setStorageError] = useState(null);
+  const [gamesLoaded, setGamesLoaded] = useState(false);
+  const [editingMistakeId, setEditingMistakeId] = useState(null);
+  const [toast, setToast] = useState(null);
+  const [undoHistory, setUndoHistory] = useState(loadHistory);
+  // Last history query, so the filters survive a visit to another page
+  const [historyQuery, setHistoryQuery] = useState(() => parseRoute(window.location.hash).query);
+  // Ply the game detail board jumps to
+  const [detailPly, setDetailPly] = useState(null);
+  // Puzzle trainer review state by card id (lib/training.js)
+  const [reviews, setReviews] = useState({});
+  // Mistake categories (lib/taxonomy.js); the defaults until storage answers
+  const [taxonomy, setTaxonomy] = useState(defaultTaxonomy);
+  // Dashboard stats per time control category or per exact control (lib/timeControl.js)
+  const [timeControlGrouping, setTimeControlGrouping] = useState('category');
+  const dismissToast = useCallback(() => setToast(null), []);
+
+  const currentView = route.view;
+  const currentGame =
+    route.gameId === null ? null : games.find(g => g.id === route.gameId) || null;
+  const editingGame = currentView === 'addGame' ? currentGame : null;
+  const historyFilters = filtersFromSearch(historyQuery);
+  const categoryField = mistakeForm.mistakeType === 'tactical' ? 'tacticType' : 'positionalType';
+  // Puzzle solve rates by tactic / positional theme, for the dashboard
+  const trainingByKey = useMemo(() => trainingStats(puzzleCards(games), reviews), [games, reviews]);
 
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
+  /* ----------------------------- STORAGE HELPERS (IndexedDB) ----------------------------- */
 
-    request.onerror = () => {
-      console.error('Database failed to open');
-      reject(request.error);
+  useEffect(() => {
+    const loadGames = async () => {
+      try {
+        // Upgrade records an older version left behind; if any step fails,
+        // storage is left untouched and the error is shown instead
+        const { games: migrated, changed } = migrateGames(await getAllGames());
+        if (changed.length > 0) await putGames(changed);
+        setGames(migrated);
+
+        // An edit link opened directly needs the form filled once the game is here
+        const initial = parseRoute(window.location.hash);
+        const editing = initial.view === 'addGame' && migrated.find(g => g.id === initial.gameId);
+        if (editing) fillGameForm(editing);
+      } catch (err) {
+        console.error('Error loading games:', err);
+        setStorageError(err.message || String(err));
+      } finally {
+        setGamesLoaded(true);
+      }
     };
+    loadGames();
+  }, []);
+
+  useEffect(() => {
+    getAllReviews()
+      .then(list => setReviews(Object.fromEntries(list.map(r => [r.id, r]))))
+      .catch(err => console.error('Error loading puzzle reviews:', err));
+  }, []);
 
-    request.onsuccess = () => {
-      db = request.result;
-      resolve(db);
+  useEffect(() => {
+    const loadTaxonomy = async () => {
+      try {
+        const stored = await getTaxonomy();
+        if (stored.length > 0) setTaxonomy(stored);
+        else await putCategories(defaultTaxonomy());
+      } catch (err) {
+        console.error('Error loading mistake categories:', err);
+      }
     };
+    loadTaxonomy();
+  }, []);
 
-    request.onupgradeneeded = (event) => {
-      const newDB = event.target.result;
-      if (!newDB.objectStoreNames.contains(STORE_NAME)) {
-        newDB.createObjectStore(STORE_NAME, { keyPath: 'id' });
+  useEffect(() => {
+    localStorage.setItem(USERNAME_KEY, username);
+  }, [username]);
+
+  useEffect(() => {
+    saveHistory(undoHistory);
+  }, [undoHistory]);
+
+  /* ----------------------------- ROUTING ----------------------------- */
+
+  const applyRoute = (next) => {
+    if (next.gameId !== route.gameId || next.view !== route.view) {
+      // Leaving an edit page for the blank "new game" form
+      if (next.view === 'addGame' && next.gameId === null && editingGame) resetGameForm();
+      if (next.view === 'addGame' && next.gameId !== null) {
+        const game = games.find(g => g.id === next.gameId);
+        if (game) fillGameForm(game);
+      }
+      if (next.view === 'addMistake') {
+        setEditingMistakeId(null);
+        resetMistakeForm();
       }
+      if (next.gameId !== route.gameId) setDetailPly(null);
+    }
+    if (next.view === 'history') setHistoryQuery(next.query);
+    setRoute(next);
+  };
+
+  // Navigate by changing the hash; pushState leaves an entry for the back button
+  const goTo = (view, params, { replace = false } = {}) => {
+    const hash = routeHash(view, params);
+    if (hash !== window.location.hash) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+    }
+    applyRoute(parseRoute(hash));
+  };
+
+  // Filter edits replace the current entry; paging adds one
+  const setHistoryFilters = (filters, { replace = true } = {}) =>
+    goTo('history', { query: filtersToSearch(filters) }, { replace });
+
+  // Back/forward, plain links and hand-edited URLs
+  useEffect(() => {
+    const onLocationChange = () => applyRoute(parseRoute(window.location.hash));
+    window.addEventListener('popstate', onLocationChange);
+    window.addEventListener('hashchange', onLocationChange);
+    return () => {
+      window.removeEventListener('popstate', onLocationChange);
+      window.removeEventListener('hashchange', onLocationChange);
     };
   });
-};
 
-// Load games from IndexedDB
-const loadGamesFromStorage = async () => {
-  try {
-    await initDB();
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_NAME], 'readonly');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.getAll();
-
-      request.onsuccess = () => {
-        resolve(Array.isArray(request.result) ? request.result : []);
-      };
-
-      request.onerror = () => {
-        console.error('Failed to load games from IndexedDB');
-        reject(request.error);
-      };
-    });
-  } catch (err) {
-    console.error('Error loading games:', err);
-    return [];
-  }
-};
+  /* ----------------------------- CRUD: Games & Mistakes ----------------------------- */
 
-// Save games to IndexedDB
-const saveGamesToStorage = async (updatedGames) => {
-  try {
-    await initDB();
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(STORE_NAME);
+  // Write a single game (new or changed), then mirror it in state. A failed
+  // write leaves state alone and throws, so callers can report it.
+  const saveGame = async (game) => {
+    await putGame(game);
+    setGames(prev =>
+      prev.some(g => g.id === game.id)
+        ? prev.map(g => (g.id === game.id ? game : g))
+        : [...prev, game]
+    );
+  };
 
-      // Clear existing data
-      store.clear();
+  const removeGame = async (gameId) => {
+    await deleteGame(gameId);
+    setGames(prev => prev.filter(g => g.id !== gameId));
+  };
 
-      // Add all games
-      updatedGames.forEach((game) => {
-        store.add(game);
-      });
+  /* ----------------------------- UNDO / REDO ----------------------------- */
+
+  // Make `game` (or its absence, when null) the stored state of game `gameId`.
+  // Engine analysis isn't part of the history, so results that landed after a
+  // snapshot was taken are kept while the moves are the same.
+  const applyGameState = async (gameId, game) => {
+    if (game) {
+      const stored = await getGame(gameId);
+      const keep = stored && stored.analysis && stored.pgn === game.pgn;
+      await saveGame(keep ? { ...game, analysis: stored.analysis } : game);
+    } else {
+      await removeGame(gameId);
+    }
 
-      transaction.oncomplete = () => {
-        resolve();
-      };
+    // The page of a game that no longer exists has nothing to show
+    if (!game && route.gameId === gameId) goTo('dashboard', undefined, { replace: true });
+  };
 
-      transaction.onerror = () => {
-        console.error('Failed to save games to IndexedDB');
-        reject(transaction.error);
-      };
-    });
-  } catch (err) {
-    console.error('Error saving games:', err);
-  }
-};
+  // Every game/mistake mutation goes through here so it can be undone. An
+  // announced change's toast undoes that change only (see handleUndo).
+  // Returns false, recording nothing, when the write fails.
+  const commitChange = async (label, before, after, { announce = false } = {}) => {
+    const gameId = (after || before).id;
+    try {
+      await applyGameState(gameId, after);
+    } catch (err) {
+      console.error('Error saving game:', err);
+      setToast({ message: `Could not save: ${label}. Nothing was changed.`, error: true });
+      return false;
+    }
+    const id = Date.now();
+    setUndoHistory(h => recordChange(h, { id, label, before, after }));
+    if (announce) setToast({ message: `${label}.`, undoable: true, entryId: id });
+    return true;
+  };
 
-const ChessTracker = () => {
-  const [games, setGames] = useState([]);
-  const [currentView, setCurrentView] = useState('dashboard');
-  const [currentGame, setCurrentGame] = useState(null);
-  const [editingGame, setEditingGame] = useState(null);
-  const [gameForm, setGameForm] = useState({
-    date: new Date().toISOString().split('T')[0],
-    color: 'white',
-    opponentRating: '',
-    result: 'win',
-    opening: '',
-    timeControl: 'rapid',
-    gameLink: '',
-    pgn: ''
-  });
-  const [mistakeForm, setMistakeForm] = useState({
-    mistakeType: 'tactical',
-    tacticType: 'fork',
-    positionalType: 'weakSquares',
-    gamePhase: 'middlegame',
-    timePressure: false,
-    note: ''
-  });
+  // Undo/redo `entry`: its game becomes `game`; the history only moves on success
+  const replayChange = async (entry, game, history, verb) => {
+    try {
+      await applyGameState((entry.before || entry.after).id, game);
+    } catch (err) {
+      console.error('Error saving game:', err);
+      setToast({
+        message: `Could not save the change, so "${entry.label}" was not ${verb.toLowerCase()}.`,
+        error: true
+      });
+      return;
+    }
+    setUndoHistory(history);
+    setToast({ message: `${verb}: ${entry.label}.` });
+  };
 
-  /* ----------------------------- STORAGE HELPERS (IndexedDB) ----------------------------- */
+  // `entryId` (from a toast) undoes that entry if it's still the latest change
+  const handleUndo = async (entryId = null) => {
+    const { history, entry } = undoChange(undoHistory, entryId);
+    if (!entry) {
+      if (entryId !== null) setToast({ message: 'Not undone: other changes came after it.' });
+      return;
+    }
+    await replayChange(entry, entry.before, history, 'Undone');
+  };
+
+  const handleRedo = async () => {
+    const { history, entry } = redoChange(undoHistory);
+    if (!entry) return;
+    await replayChange(entry, entry.after, history, 'Redone');
+  };
 
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo; text fields keep their own undo
   useEffect(() => {
-    const loadGames = async () => {
-      const stored = await loadGamesFromStorage();
-      setGames(stored);
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      }
     };
-    loadGames();
-  }, []);
-
-  /* ----------------------------- CRUD: Games & Mistakes ----------------------------- */
-
-  const saveGames = async (updatedGames) => {
-    setGames(updatedGames);
-    await saveGamesToStorage(updatedGames);
-  };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
 
   const handleAddGame = async () => {
     if (!gameForm.opponentRating || !gameForm.opening) {
@@ -144,96 +371,239 @@ const ChessTracker = () => {
       return;
     }
 
+    if (gameForm.pgn.trim()) {
+      try {
+        parsePgn(gameForm.pgn);
+      } catch (err) {
+        setPgnStatus({ error: err.message, warnings: [] });
+        return;
+      }
+    }
+
     if (editingGame) {
-      const updatedGames = games.map(g =>
-        g.id === editingGame.id ? { ...g, ...gameForm } : g
-      );
-      await saveGames(updatedGames);
-      setEditingGame(null);
-      setCurrentView('dashboard');
+      const current = games.find(g => g.id === editingGame.id) || editingGame;
+      const updated = { ...current, ...gameForm };
+      // Engine results belong to the moves they were computed for
+      if (updated.pgn !== current.pgn) delete updated.analysis;
+      if (!(await commitChange(`Edit game from ${current.date}`, current, updated, { announce: true }))) return;
+      goTo('game', { gameId: current.id });
       resetGameForm();
       return;
     }
 
     const newGame = {
       id: Date.now(),
+      schemaVersion: CURRENT_SCHEMA_VERSION,
       ...gameForm,
       mistakes: []
     };
-    const updatedGames = [...games, newGame];
-    await saveGames(updatedGames);
-    setCurrentGame(newGame);
-    setCurrentView('addMistake');
+    if (!(await commitChange(`Add game from ${newGame.date}`, null, newGame))) return;
+    goTo('addMistake', { gameId: newGame.id });
     resetGameForm();
   };
 
-  const handleEditGame = (game) => {
-    setEditingGame(game);
+  const fillGameForm = (game) => {
     setGameForm({
       date: game.date,
       color: game.color,
       opponentRating: game.opponentRating,
+      myRating: game.myRating ?? '',
       result: game.result,
       opening: game.opening,
       timeControl: game.timeControl,
-      gameLink: game.gameLink || '',
-      pgn: game.pgn || ''
+      baseSeconds: game.baseSeconds ?? null,
+      incrementSeconds: game.incrementSeconds ?? null,
+      secondsPerMove: game.secondsPerMove ?? null,
+      gameLink: game.gameLink,
+      pgn: game.pgn
     });
-    setCurrentView('addGame');
+    setPgnStatus({ error: null, warnings: [] });
+  };
+
+  // The edit route fills the form (applyRoute)
+  const handleEditGame = (game) => goTo('addGame', { gameId: game.id });
+
+  // Parse the PGN and copy whatever the tags tell us into the form
+  const applyPgnToForm = (pgnText) => {
+    if (!pgnText.trim()) {
+      setPgnStatus({ error: null, warnings: [] });
+      return;
+    }
+    try {
+      const { fields, warnings } = gameFieldsFromPgn(parsePgn(pgnText), username);
+      setGameForm(form => ({ ...form, ...fields, pgn: pgnText }));
+      setPgnStatus({ error: null, warnings });
+    } catch (err) {
+      setPgnStatus({ error: err.message, warnings: [] });
+    }
+  };
+
+  const handlePgnChange = (pgnText) => {
+    const wasEmpty = !gameForm.pgn.trim();
+    setGameForm({ ...gameForm, pgn: pgnText });
+    // Pasting into an empty box fills the form straight away
+    if (wasEmpty && pgnText.trim()) applyPgnToForm(pgnText);
+    else setPgnStatus({ error: null, warnings: [] });
   };
 
   const handleDeleteGame = async (gameId) => {
     if (!window.confirm('Are you sure you want to delete this game?')) return;
-    const updatedGames = games.filter(g => g.id !== gameId);
-    await saveGames(updatedGames);
-    if (currentGame?.id === gameId) {
-      setCurrentGame(null);
-      setCurrentView('dashboard');
-    }
+    const game = games.find(g => g.id === gameId);
+    if (!game) return;
+    await commitChange(`Delete game from ${game.date}`, game, null, { announce: true });
   };
 
+  // Adds a new mistake, or saves the one being edited (editingMistakeId)
   const handleAddMistake = async () => {
     if (!currentGame) return; // safety
-    const updatedGames = games.map(game =>
-      game.id === currentGame.id
-        ? {
-            ...game,
-            mistakes: [...(game.mistakes || []), { ...mistakeForm, id: Date.now() }]
-          }
-        : game
-    );
-    await saveGames(updatedGames);
-    setCurrentGame(updatedGames.find(g => g.id === currentGame.id));
+
+    // Store the better move as proper SAN, and refuse moves that aren't legal there
+    let betterMove = mistakeForm.betterMove.trim();
+    if (betterMove && mistakeForm.fen) {
+      const pos = parseFen(mistakeForm.fen);
+      const move = sanToMove(pos, betterMove);
+      if (!move) {
+        alert(`"${betterMove}" is not a legal move in this position.`);
+        return;
+      }
+      betterMove = moveToSan(pos, move);
+    }
+
+    const mistake = {
+      ...mistakeForm,
+      betterMove,
+      phaseSource: mistakeForm.phaseSource || 'manual',
+      id: editingMistakeId || Date.now()
+    };
+    const game = games.find(g => g.id === currentGame.id) || currentGame;
+    const updatedGame = {
+      ...game,
+      mistakes: editingMistakeId
+        ? game.mistakes.map(m => (m.id === editingMistakeId ? mistake : m))
+        : [...(game.mistakes || []), mistake]
+    };
+    const saved = await commitChange(editingMistakeId ? 'Edit mistake' : 'Add mistake', game, updatedGame, {
+      announce: !!editingMistakeId
+    });
+    // Keep the form filled in so nothing typed is lost
+    if (!saved) return;
+    setEditingMistakeId(null);
     resetMistakeForm();
   };
 
+  // Category edits, merges and deletes, with the games they re-key (not
+  // undoable). Undo snapshots are re-keyed too, so undoing an older change
+  // never brings back a key that no longer exists.
+  const handleTaxonomyChange = async (plan, message) => {
+    try {
+      await applyTaxonomyChange(plan);
+    } catch (err) {
+      console.error('Error saving mistake categories:', err);
+      alert('Could not save the category change. Nothing was changed.');
+      return;
+    }
+    const replaced = new Set([...plan.remove, ...plan.put.map(c => c.id)]);
+    setTaxonomy(prev => [...prev.filter(c => !replaced.has(c.id)), ...plan.put]);
+    const changed = new Map(plan.games.map(g => [g.id, g]));
+    if (changed.size > 0) setGames(prev => prev.map(g => changed.get(g.id) || g));
+    if (plan.remap) setUndoHistory(prev => mapHistoryGames(prev, game => remapGame(game, plan.remap)));
+    setToast({ message: `${message}.` });
+  };
+
+  const handleReview = async (review) => {
+    setReviews(prev => ({ ...prev, [review.id]: review }));
+    try {
+      await putReview(review);
+    } catch (err) {
+      console.error('Error saving puzzle review:', err);
+    }
+  };
+
+  // Store engine results on the freshest copy of the game: analysis takes a
+  // while and mistakes may have been logged meanwhile. Not undoable, and kept
+  // out of the history, whose snapshots would double its size in sessionStorage.
+  const handleAnalysed = async (gameId, analysis) => {
+    const game = await getGame(gameId);
+    if (!game) return;
+    try {
+      await saveGame({ ...game, analysis });
+    } catch (err) {
+      console.error('Error saving engine analysis:', err);
+    }
+  };
+
+  // Open the mistake form for any game, optionally pre-filled with one mistake
+  const openMistakes = (game, mistake = null) => {
+    goTo('addMistake', { gameId: game.id });
+    setEditingMistakeId(mistake ? mistake.id : null);
+    setMistakeForm(mistake ? { ...freshMistakeForm(), ...mistake } : freshMistakeForm());
+  };
+
+  const cancelMistakeEdit = () => {
+    setEditingMistakeId(null);
+    resetMistakeForm();
+  };
+
+  const handleDeleteMistake = async (game, mistakeId) => {
+    if (!window.confirm('Delete this mistake?')) return;
+    const updatedGame = {
+      ...game,
+      mistakes: game.mistakes.filter(m => m.id !== mistakeId)
+    };
+    if (!(await commitChange('Delete mistake', game, updatedGame, { announce: true }))) return;
+    if (editingMistakeId === mistakeId) cancelMistakeEdit();
+  };
+
+  const handleImportGames = async (newGames) => {
+    await addGames(newGames);
+    setGames(prev => [...prev, ...newGames]);
+  };
+
+  // `reviews` are the ones to write (planReviewRestore), stored with the games
+  const handleMergeBackup = async ({ games: backupGames, reviews: incomingReviews, categories }) => {
+    const { games: incoming } = migrateGames(backupGames);
+    await putGames(incoming, { reviews: incomingReviews, categories });
+    const incomingIds = new Set(incoming.map(g => g.id));
+    setGames(prev => [...prev.filter(g => !incomingIds.has(g.id)), ...incoming]);
+    setReviews(prev => ({ ...prev, ...Object.fromEntries(incomingReviews.map(r => [r.id, r])) }));
+    setTaxonomy(prev => [...prev, ...categories]);
+  };
+
+  // Backups from before reviews or categories were saved (null) keep the current ones
+  const handleReplaceFromBackup = async ({ games: backupGames, reviews: backupReviews, categories }) => {
+    const { games: restored } = migrateGames(backupGames);
+    await replaceAllGames(restored, { reviews: backupReviews, categories });
+    setGames(restored);
+    if (backupReviews) setReviews(Object.fromEntries(backupReviews.map(r => [r.id, r])));
+    if (categories) setTaxonomy(categories);
+    // Old entries refer to games that may no longer exist
+    setUndoHistory(emptyHistory());
+  };
+
   const finishAddingMistakes = () => {
-    setCurrentGame(null);
-    setCurrentView('dashboard');
+    setEditingMistakeId(null);
+    resetMistakeForm();
+    goTo('game', { gameId: currentGame.id });
   };
 
   const resetGameForm = () => {
-    setGameForm({
-      date: new Date().toISOString().split('T')[0],
-      color: 'white',
-      opponentRating: '',
-      result: 'win',
-      opening: '',
-      timeControl: 'rapid',
-      gameLink: '',
-      pgn: ''
+    setGameForm(defaultGameForm());
+    setPgnStatus({ error: null, warnings: [] });
+  };
+
+  // The default categories may have been renamed or merged away; fall back to
+  // the first category of each type
+  const freshMistakeForm = () => {
+    const form = defaultMistakeForm();
+    [['tactical', 'tacticType'], ['positional', 'positionalType']].forEach(([type, field]) => {
+      const [first] = groupedCategories(taxonomy, type).flatMap(([, list]) => list);
+      if (!findCategory(taxonomy, form[field], type) && first) form[field] = first.key;
     });
+    return form;
   };
 
   const resetMistakeForm = () => {
-    setMistakeForm({
-      mistakeType: 'tactical',
-      tacticType: 'fork',
-      positionalType: 'weakSquares',
-      gamePhase: 'middlegame',
-      timePressure: false,
-      note: ''
-    });
+    setMistakeForm(freshMistakeForm());
   };
 
   /* ----------------------------- STATS / AGGREGATIONS ----------------------------- */
@@ -250,6 +620,7 @@ const ChessTracker = () => {
     return ((wins / totalGames) * 100).toFixed(1);
   };
 
+  // Top five categories by severity-weighted count
   const getTacticStats = () => {
     const tacticCounts = {};
     games.forEach(game => {
@@ -258,59 +629,62 @@ const ChessTracker = () => {
           mistake.mistakeType === 'tactical'
             ? mistake.tacticType
             : mistake.positionalType;
-        tacticCounts[key] = (tacticCounts[key] || 0) + 1;
+        tallyMistake(tacticCounts, key, mistake);
       });
     });
     return Object.entries(tacticCounts)
-      .sort((a, b) => b[1] - a[1])
+      .sort((a, b) => b[1].weight - a[1].weight || b[1].count - a[1].count)
       .slice(0, 5);
   };
 
-  const getOpeningStats = () => {
-    const openingPerf = {};
-    games.forEach(game => {
-      const openingKey = game.opening || 'Unknown';
-      if (!openingPerf[openingKey])
-        openingPerf[openingKey] = { wins: 0, total: 0 };
-      openingPerf[openingKey].total++;
-      if (game.result === 'win') openingPerf[openingKey].wins++;
-    });
-    return Object.entries(openingPerf)
-      .map(([opening, stats]) => ({
-        opening,
-        winRate: Number(((stats.wins / stats.total) * 100).toFixed(0)),
-        games: stats.total
-      }))
-      .sort((a, b) => b.games - a.games);
-  };
-
   /* ----------------------------- INSIGHT ENGINE ----------------------------- */
 
-  // Helper: compute mistake counts split by type, phase, time pressure
-  const computeMistakeBreakdown = () => {
+  // Mistake counts split by type, phase, severity and clock time left, plus
+  // engine-measured accuracy/ACPL for analysed games, computed once for the
+  // insights and every dashboard card.
+  // byTactic, byPositional and byPhase are weighted by severity.
+  const mistakeBreakdown = useMemo(() => {
     const byTactic = {};
     const byPositional = {};
     const byPhase = { opening: 0, middlegame: 0, endgame: 0 };
-    let timePressureCount = 0;
+    // Same counts split by how the phase was set (older records count as manual)
+    const byPhaseSource = {
+      opening: { inferred: 0, manual: 0 },
+      middlegame: { inferred: 0, manual: 0 },
+      endgame: { inferred: 0, manual: 0 }
+    };
+    const bySeverity = Object.fromEntries(SEVERITIES.map(s => [s.value, 0]));
+    // Mistakes per CLOCK_BUCKETS key, plus those without a clock time
+    const byClock = Object.fromEntries([...CLOCK_BUCKETS.map(b => [b.key, 0]), ['unknown', 0]]);
     let totalMistakeCount = 0;
 
     games.forEach(game => {
       (game.mistakes || []).forEach(m => {
         totalMistakeCount++;
-        if (m.timePressure) timePressureCount++;
+        bySeverity[m.severity in bySeverity ? m.severity : 'mistake']++;
+        byClock[clockBucket(m.clockSeconds) || 'unknown']++;
         if (m.mistakeType === 'tactical') {
-          byTactic[m.tacticType] = (byTactic[m.tacticType] || 0) + 1;
+          tallyMistake(byTactic, m.tacticType, m);
         } else {
-          byPositional[m.positionalType] =
-            (byPositional[m.positionalType] || 0) + 1;
+          tallyMistake(byPositional, m.positionalType, m);
         }
         if (m.gamePhase && byPhase[m.gamePhase] !== undefined) {
-          byPhase[m.gamePhase]++;
+          byPhase[m.gamePhase] += severityWeight(m.severity);
+          byPhaseSource[m.gamePhase][m.phaseSource === 'inferred' ? 'inferred' : 'manual']++;
         }
       });
     });
-    return { byTactic, byPositional, byPhase, timePressureCount, totalMistakeCount };
-  };
+    return {
+      byTactic,
+      byPositional,
+      byPhase,
+      byPhaseSource,
+      bySeverity,
+      byClock,
+      totalMistakeCount,
+      accuracy: computeAccuracyStats(games, timeControlGrouping)
+    };
+  }, [games, timeControlGrouping]);
 
   // Trend: compare last N games average mistakes vs previous N games
   const computeMistakeTrend = (windowSize = 10) => {
@@ -347,15 +721,17 @@ const ChessTracker = () => {
       return ['No games yet — add a game to generate insights.'];
     }
 
-    const openingStats = getOpeningStats();
     const tacticStats = getTacticStats();
     const {
       byTactic,
       byPositional,
       byPhase,
-      timePressureCount,
-      totalMistakeCount
-    } = computeMistakeBreakdown();
+      byPhaseSource,
+      bySeverity,
+      byClock,
+      totalMistakeCount,
+      accuracy
+    } = mistakeBreakdown;
     const trend = computeMistakeTrend(10);
 
     const insights = [];
@@ -369,53 +745,119 @@ const ChessTracker = () => {
     const avgMistakes = totalGames ? (totalMistakes / totalGames).toFixed(2) : '0.00';
     insights.push(`Average mistakes per game: ~${avgMistakes}.`);
 
-    // Top tactical miss
+    // Top tactical miss (weighted by severity), and how its puzzles from our own games go
     if (tacticStats.length > 0) {
-      const [topTactic, count] = tacticStats[0];
+      const [topTactic, { count, blunders }] = tacticStats[0];
+      const training = trainingByKey[topTactic];
+      const blunderNote = blunders > 0 ? ` (${blunders} blunder${blunders > 1 ? 's' : ''})` : '';
+      let drill = `Drill ${formatTacticPractice(topTactic)}`;
+      if (training && training.rate !== null) {
+        drill += `; you solve ${training.rate.toFixed(0)}% of your own ${categoryLabel(taxonomy, topTactic)} puzzles in Training`;
+      } else if (training) {
+        drill += `, starting with the ${training.cards} puzzle${training.cards > 1 ? 's' : ''} from your games in Training`;
+      }
       insights.push(
-        `Top missed tactic: ${formatKey(topTactic)} — ${count} time${count > 1 ? 's' : ''}. Drill ${formatTacticPractice(topTactic)}.`
+        `Top missed tactic: ${categoryLabel(taxonomy, topTactic)} — ${count} time${count > 1 ? 's' : ''}${blunderNote}. ${drill}.`
       );
     }
 
-    // Positional top if exists
+    // Weakest puzzle theme once there are a few attempts
+    const [weakestTraining] = Object.entries(trainingByKey)
+      .filter(([, stat]) => stat.attempts >= 3)
+      .sort((a, b) => a[1].rate - b[1].rate);
+    if (weakestTraining && weakestTraining[1].rate < 60) {
+      const [key, stat] = weakestTraining;
+      insights.push(
+        `Training: only ${stat.rate.toFixed(0)}% of ${categoryLabel(taxonomy, key)} puzzles solved over ${stat.attempts} attempts. These positions still need work.`
+      );
+    }
+
+    // Positional top if exists, weighted by severity
     const positionalEntries = Object.entries(byPositional).sort(
-      (a, b) => b[1] - a[1]
+      (a, b) => b[1].weight - a[1].weight || b[1].count - a[1].count
     );
     if (positionalEntries.length > 0) {
-      const [pos, c] = positionalEntries[0];
+      const [pos, { count: c }] = positionalEntries[0];
       insights.push(
-        `Top positional weakness: ${formatKey(pos)} — ${c} time${c > 1 ? 's' : ''}. Study typical plans and motifs.`
+        `Top positional weakness: ${categoryLabel(taxonomy, pos, 'positional')} — ${c} time${c > 1 ? 's' : ''}. Study ${categoryTip(taxonomy, pos, 'positional')}.`
       );
     }
 
-    // Time pressure
-    if (totalMistakeCount > 0) {
-      const tpPct = ((timePressureCount / totalMistakeCount) * 100).toFixed(0);
-      if (timePressureCount / totalMistakeCount > 0.25) {
-        insights.push(
-          `${tpPct}% of mistakes happen under time pressure. Practice faster tactics and time management (e.g., 5×5 minute tactic sprints).`
+    // Blunder share
+    if (bySeverity.blunder > 0) {
+      const blunderShare = bySeverity.blunder / totalMistakeCount;
+      insights.push(
+        `${(blunderShare * 100).toFixed(0)}% of your mistakes are blunders (${bySeverity.blunder} of ${totalMistakeCount}).${
+          blunderShare > 0.3
+            ? ' A checks-captures-threats scan before every move would save the most points.'
+            : ''
+        }`
+      );
+    }
+
+    // Clock time left when mistakes happen
+    const clocked = totalMistakeCount - byClock.unknown;
+    if (clocked > 0) {
+      const distribution = CLOCK_BUCKETS.filter(b => byClock[b.key] > 0)
+        .map(b => `${b.label.toLowerCase()} ${((byClock[b.key] / clocked) * 100).toFixed(0)}%`)
+        .join(', ');
+      const lowClock = (byClock.under10 + byClock.under30) / clocked;
+      insights.push(
+        `Clock left at your mistakes (${clocked} with a known time): ${distribution}.${
+          lowClock > 0.25
+            ? ` ${(lowClock * 100).toFixed(0)}% came with under 30s left. Practice faster tactics and time management (e.g., 5×5 minute tactic sprints).`
+            : ''
+        }`
+      );
+    }
+
+    // Time management per time control, from the PGN clocks
+    Object.entries(timeManagementStats(games, timeControlGrouping)).forEach(([timeControl, t]) => {
+      if (t.games < 3) return;
+      const notes = [];
+      if (t.troubleGames > 0) {
+        notes.push(
+          `you dropped under ${TIME_TROUBLE_SHARE * 100}% of your clock in ${t.troubleGames} of ${t.games} games`
         );
-      } else {
-        insights.push(`${tpPct}% of mistakes happen under time pressure.`);
       }
-    }
+      if (t.troubleScore !== null && t.otherScore !== null && t.otherScore - t.troubleScore >= 15) {
+        notes.push(
+          `scoring ${t.troubleScore.toFixed(0)}% in those vs ${t.otherScore.toFixed(0)}% otherwise`
+        );
+      }
+      if (notes.length === 0) return;
+      const pace =
+        t.openingShare !== null && t.openingShare > 25
+          ? ` Your first ${OPENING_MOVES} moves take ${t.openingShare.toFixed(0)}% of the clock; play the opening faster to bank time.`
+          : '';
+      insights.push(`Clock (${timeControl}): ${notes.join(', ')}.${pace}`);
+    });
 
     // Phase distribution
     const phaseSorted = Object.entries(byPhase).sort((a, b) => b[1] - a[1]);
     if (phaseSorted[0] && phaseSorted[0][1] > 0) {
+      const [topPhase] = phaseSorted[0];
+      const { inferred: inferredCount, manual } = byPhaseSource[topPhase];
+      const phaseCount = inferredCount + manual;
+      const sourceNote =
+        inferredCount > 0
+          ? ` (${inferredCount} of ${phaseCount} inferred from the position)`
+          : '';
       insights.push(
-        `Most mistakes occur in the ${phaseSorted[0][0]}. Focus training there (targeted opening drills / endgame technique).`
+        `Most mistakes occur in the ${topPhase}${sourceNote}. Focus training there (targeted opening drills / endgame technique).`
       );
     }
 
-    // Opening weakness
-    if (openingStats.length > 0) {
-      const worst = [...openingStats].sort((a, b) => a.winRate - b.winRate)[0];
-      if (worst && worst.games >= 2) {
-        insights.push(
-          `Opening to watch: ${worst.opening} — ${worst.winRate}% win rate over ${worst.games} games. Consider reviewing main lines and common traps.`
-        );
-      }
+    // Opening weakness: lowest-scoring family with either colour
+    const [worstOpening] = ['white', 'black']
+      .flatMap(color => openingStats(games, { color }).map(stat => ({ ...stat, color })))
+      .filter(stat => stat.games >= 2)
+      .sort((a, b) => a.score - b.score);
+    if (worstOpening) {
+      const eco = worstOpening.eco ? ` (${worstOpening.eco})` : '';
+      insights.push(
+        `Opening to watch: ${worstOpening.family}${eco} as ${worstOpening.color} — ${worstOpening.score.toFixed(0)}% score over ${worstOpening.games} games. Consider reviewing main lines and common traps.`
+      );
     }
 
     // Trend insight
@@ -435,6 +877,100 @@ const ChessTracker = () => {
       }
     }
 
+    // Rating changes against mistake trends, per time control
+    Object.entries(ratingSeries(games, timeControlGrouping)).forEach(([timeControl, points]) => {
+      const t = ratingMistakeTrend(points);
+      if (!t || Math.abs(t.ratingChange) < 15) return;
+      const rating = `${t.estimated ? 'estimated ' : ''}${timeControl} rating`;
+      const change = `${t.ratingChange > 0 ? 'up' : 'down'} ~${Math.abs(t.ratingChange).toFixed(0)} points`;
+      const mistakes = `${t.prevMistakes.toFixed(1)} → ${t.lastMistakes.toFixed(1)} mistakes/game`;
+      const fewer = t.lastMistakes < t.prevMistakes;
+      if (t.ratingChange > 0 && fewer) {
+        insights.push(`Your ${rating} is ${change} over your last ${t.games} games as mistakes fell (${mistakes}). Cutting mistakes is paying off.`);
+      } else if (t.ratingChange < 0 && !fewer) {
+        insights.push(`Your ${rating} is ${change} over your last ${t.games} games while mistakes rose (${mistakes}). Getting the mistake count back down is the quickest way to recover.`);
+      } else if (t.ratingChange > 0) {
+        insights.push(`Your ${rating} is ${change} over your last ${t.games} games even though mistakes didn't fall (${mistakes}). Stronger opponents punish them more, so keep drilling your top misses.`);
+      } else {
+        insights.push(`Your ${rating} is ${change} over your last ${t.games} games despite fewer logged mistakes (${mistakes}). Look beyond logged mistakes: openings, time use or unnoticed errors (try the engine analysis).`);
+      }
+    });
+
+    // Results and mistakes against weaker / similar / stronger opponents
+    const bands = ratingBandStats(games);
+    const bandName = { lower: 'much lower-rated', similar: 'similarly rated', higher: 'much higher-rated' };
+    const usableBands = RATING_BANDS.map(b => b.key).filter(key => bands[key]?.games >= 3);
+    usableBands.forEach((key) => {
+      const b = bands[key];
+      const diff = b.score - b.expected;
+      if (Math.abs(diff) >= 10) {
+        insights.push(
+          `Against ${bandName[key]} opponents you score ${b.score.toFixed(0)}% where the Elo formula expects ${b.expected.toFixed(0)}% over ${b.games} games — ${
+            diff > 0 ? 'you outperform your rating there' : 'points are slipping away there'
+          }.`
+        );
+      }
+    });
+    // Flag the band where errors pile up, compared with the rest
+    const compareBands = (metric, usable, describe) => {
+      if (usable.length < 2) return;
+      const [worst, ...rest] = [...usable].sort((a, b) => bands[b][metric] - bands[a][metric]);
+      const restAvg = rest.reduce((sum, key) => sum + bands[key][metric], 0) / rest.length;
+      const value = bands[worst][metric];
+      if (value >= restAvg * 1.3 && value - restAvg >= 0.5) {
+        const advice = {
+          lower: "Don't relax against weaker players: keep checking their threats.",
+          similar: 'Close games against equals are where points are won; slow down at critical moments.',
+          higher: 'Stronger opponents create pressure; spend time on their forcing moves.'
+        }[worst];
+        insights.push(`${describe(worst, value, restAvg)} ${advice}`);
+      }
+    };
+    compareBands('mistakesPerGame', usableBands, (key, value, rest) =>
+      `You make more mistakes against ${bandName[key]} opponents (${value.toFixed(1)} per game vs ${rest.toFixed(1)} otherwise).`
+    );
+    compareBands(
+      'blundersPerGame',
+      RATING_BANDS.map(b => b.key).filter(key => bands[key]?.analysedGames >= 3),
+      (key, value, rest) =>
+        `You blunder more against ${bandName[key]} opponents (engine: ${value.toFixed(1)} blunders per analysed game vs ${rest.toFixed(1)} otherwise).`
+    );
+
+    // Engine-measured accuracy (analysed games only)
+    if (accuracy.overall) {
+      const phases = Object.entries(accuracy.byPhase).sort((a, b) => a[1].accuracy - b[1].accuracy);
+      const [weakPhase, weakStats] = phases[0];
+      insights.push(
+        `Engine accuracy over ${accuracy.analysedGames} analysed game${accuracy.analysedGames > 1 ? 's' : ''}: ${accuracy.overall.accuracy.toFixed(1)}% (ACPL ${accuracy.overall.acpl.toFixed(0)}).` +
+          (phases.length > 1
+            ? ` Your least accurate phase is the ${weakPhase} (${weakStats.accuracy.toFixed(0)}%, ACPL ${weakStats.acpl.toFixed(0)}).`
+            : '')
+      );
+
+      const accuracyTrend = computeAccuracyTrend(accuracy.byGame, 10);
+      if (accuracyTrend) {
+        const delta = accuracyTrend.lastAccuracy - accuracyTrend.prevAccuracy;
+        insights.push(
+          `Accuracy over your last ${10} analysed games is ${accuracyTrend.lastAccuracy.toFixed(1)}%, ${
+            Math.abs(delta) < 1 ? 'about the same as' : delta > 0 ? `up ${delta.toFixed(1)} points on` : `down ${(-delta).toFixed(1)} points on`
+          } the previous ${10} (ACPL ${accuracyTrend.prevAcpl.toFixed(0)} → ${accuracyTrend.lastAcpl.toFixed(0)}).`
+        );
+      }
+
+      // Self-reported vs measured
+      const comparison = compareReportedMistakes(accuracy.byGame);
+      const examples = comparison.games.map(g => `${g.date} ${g.opening}`).join('; ');
+      if (comparison.direction === 'under') {
+        insights.push(
+          `In your analysed games the engine found ${comparison.measured} mistakes and blunders, but you logged ${comparison.reported}. Many errors are going unnoticed — review the engine suggestions${examples ? ` (biggest gaps: ${examples})` : ''}.`
+        );
+      } else if (comparison.direction === 'over') {
+        insights.push(
+          `You logged ${comparison.reported} mistakes in analysed games, but the engine rates only ${comparison.measured} moves as mistakes or blunders. Some of what you log may be style or missed chances rather than costly errors${examples ? ` (e.g. ${examples})` : ''}.`
+        );
+      }
+    }
+
     // Actionable final recommendation
     insights.push(
       'Recommended plan: 10–15 minutes/day of targeted tactics (start with your top missed tactic), 3× weekly 15-minute quick games focusing on time control, and review 2 games/week with annotations.'
@@ -443,30 +979,65 @@ const ChessTracker = () => {
     return insights;
   };
 
-  // small helper to make keys readable
-  const formatKey = (k) => {
-    if (!k) return '';
-    return k.replace(/([A-Z])/g, ' $1').replace(/_/g, ' ').trim();
-  };
+  const resultBadgeClass = (result) =>
+    result === 'win'
+      ? 'bg-green-100 text-green-800'
+      : result === 'loss'
+      ? 'bg-red-100 text-red-800'
+      : 'bg-gray-100 text-gray-800';
 
-  const formatTacticPractice = (tacticKey) => {
-    const t = tacticKey.toLowerCase();
-    if (t.includes('fork')) return 'fork puzzles and knight coordination drills';
-    if (t.includes('pin')) return 'pin & skewers practice';
-    if (t.includes('back')) return 'back-rank mate pattern drills';
-    if (t.includes('zwischenzug')) return 'zwischenzug pattern recognition';
-    if (t.includes('xray')) return 'x-ray and battery tactics';
-    return 'mixed tactical puzzles around this motif';
-  };
+  // Training advice comes from the category's tip in the taxonomy
+  const formatTacticPractice = (tacticKey) => categoryTip(taxonomy, tacticKey);
 
   /* ----------------------------- Memoized insights for rendering ----------------------------- */
 
-  const insights = useMemo(generateInsights, [games]);
+  const insights = useMemo(generateInsights, [games, reviews, taxonomy, timeControlGrouping]);
 
   /* ----------------------------- RENDER HELPERS ----------------------------- */
 
+  // Severity, clock time and root cause shown after a mistake's heading
+  const renderMistakeMeta = (m) => {
+    const severity = SEVERITIES.find(s => s.value === m.severity);
+    const cause = ROOT_CAUSES.find(c => c.value === m.rootCause);
+    return (
+      <>
+        {severity && (
+          <span
+            className={`ml-2 text-xs px-1 rounded ${
+              severity.value === 'blunder'
+                ? 'bg-red-100 text-red-800'
+                : severity.value === 'mistake'
+                ? 'bg-orange-100 text-orange-800'
+                : 'bg-yellow-100 text-yellow-800'
+            }`}
+          >
+            {severity.label}
+          </span>
+        )}
+        {m.clockSeconds !== null && m.clockSeconds !== undefined && (
+          <span className="ml-2 text-xs text-gray-600 font-mono">⏱ {formatClock(m.clockSeconds)}</span>
+        )}
+        {cause && <span className="ml-2 text-xs text-gray-600 normal-case">{cause.label}</span>}
+      </>
+    );
+  };
+
   const renderDashboard = () => (
     <div className="space-y-6">
+      <div className="flex justify-end items-center gap-2 text-sm">
+        <label className="text-gray-600">Time controls</label>
+        <select
+          value={timeControlGrouping}
+          onChange={e => setTimeControlGrouping(e.target.value)}
+          className="p-1 border rounded"
+        >
+          {TIME_CONTROL_GROUPINGS.map(g => (
+            <option key={g.value} value={g.value}>
+              {g.label}
+            </option>
+          ))}
+        </select>
+      </div>
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="bg-blue-50 p-6 rounded-lg">
           <div className="flex items-center justify-between">
@@ -503,10 +1074,25 @@ const ChessTracker = () => {
         </h3>
         {getTacticStats().length > 0 ? (
           <div className="space-y-3">
-            {getTacticStats().map(([tactic, count]) => (
+            {getTacticStats().map(([tactic, { count, blunders }]) => (
               <div key={tactic} className="flex items-center justify-between">
-                <span className="capitalize font-medium">{formatKey(tactic)}</span>
+                <span className="font-medium">
+                  {categoryLabel(taxonomy, tactic)}
+                  {blunders > 0 && (
+                    <span className="ml-2 text-xs text-red-600">
+                      {blunders} blunder{blunders > 1 ? 's' : ''}
+                    </span>
+                  )}
+                </span>
                 <div className="flex items-center gap-3">
+                  {trainingByKey[tactic] && trainingByKey[tactic].rate !== null && (
+                    <span
+                      className="text-xs text-gray-500"
+                      title={`${trainingByKey[tactic].successes} of ${trainingByKey[tactic].attempts} puzzle attempts solved`}
+                    >
+                      {trainingByKey[tactic].rate.toFixed(0)}% solved
+                    </span>
+                  )}
                   <div className="bg-gray-200 rounded-full h-2 w-32">
                     <div
                       className="bg-red-500 h-2 rounded-full"
@@ -525,6 +1111,85 @@ const ChessTracker = () => {
         )}
       </div>
 
+      {totalMistakes > 0 && (
+        <div className="bg-white p-6 rounded-lg shadow">
+          <h3 className="text-lg font-bold mb-4">Mistakes by Game Phase</h3>
+          <div className="space-y-3">
+            {Object.entries(mistakeBreakdown.byPhaseSource).map(
+              ([phase, { inferred, manual }]) => (
+                <div key={phase} className="flex items-center justify-between">
+                  <span className="capitalize font-medium">{phase}</span>
+                  <div className="flex items-center gap-3">
+                    <div className="bg-gray-200 rounded-full h-2 w-32 flex overflow-hidden">
+                      <div
+                        className="bg-red-500 h-2"
+                        style={{ width: `${(manual / totalMistakes) * 100}%` }}
+                      />
+                      <div
+                        className="bg-red-300 h-2"
+                        style={{ width: `${(inferred / totalMistakes) * 100}%` }}
+                      />
+                    </div>
+                    <span className="text-sm font-bold w-8 text-right">
+                      {inferred + manual}
+                    </span>
+                    <span className="text-xs text-gray-500 w-32">
+                      {manual} by hand, {inferred} inferred
+                    </span>
+                  </div>
+                </div>
+              )
+            )}
+          </div>
+        </div>
+      )}
+
+      {totalMistakes > 0 && (
+        <div className="bg-white p-6 rounded-lg shadow">
+          <h3 className="text-lg font-bold mb-4">Clock Left at Mistakes</h3>
+          <div className="space-y-3">
+            {CLOCK_BUCKETS.map(({ key, label }) => {
+              const count = mistakeBreakdown.byClock[key];
+              return (
+                <div key={key} className="flex items-center justify-between">
+                  <span className="font-medium">{label}</span>
+                  <div className="flex items-center gap-3">
+                    <div className="bg-gray-200 rounded-full h-2 w-32">
+                      <div
+                        className="bg-orange-500 h-2 rounded-full"
+                        style={{ width: `${(count / totalMistakes) * 100}%` }}
+                      />
+                    </div>
+                    <span className="text-sm font-bold w-8 text-right">{count}</span>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+          {mistakeBreakdown.byClock.unknown > 0 && (
+            <p className="text-xs text-gray-500 mt-3">
+              {mistakeBreakdown.byClock.unknown} mistake
+              {mistakeBreakdown.byClock.unknown !== 1 ? 's have' : ' has'} no clock time.
+            </p>
+          )}
+        </div>
+      )}
+
+      {Object.keys(ratingSeries(games, timeControlGrouping)).length > 0 && (
+        <div className="bg-white p-6 rounded-lg shadow">
+          <h3 className="text-lg font-bold mb-4 flex items-center gap-2">
+            <TrendingUp size={20} /> Rating Over Time
+          </h3>
+          <RatingChart series={ratingSeries(games, timeControlGrouping)} />
+        </div>
+      )}
+
+      <RatingBandsCard stats={ratingBandStats(games)} />
+
+      <TimeManagementCard stats={timeManagementStats(games, timeControlGrouping)} />
+
+      <AccuracyCard stats={mistakeBreakdown.accuracy} />
+
       <div className="bg-white p-6 rounded-lg shadow">
         <h3 className="text-lg font-bold mb-4">Quick Insights & Recommendations</h3>
         <div className="space-y-2">
@@ -536,24 +1201,7 @@ const ChessTracker = () => {
         </div>
       </div>
 
-      <div className="bg-white p-6 rounded-lg shadow">
-        <h3 className="text-lg font-bold mb-4">Opening Performance</h3>
-        {getOpeningStats().length > 0 ? (
-          <div className="space-y-2">
-            {getOpeningStats().map(stat => (
-              <div key={stat.opening} className="flex justify-between items-center py-2 border-b">
-                <span className="font-medium">{stat.opening}</span>
-                <div className="flex gap-4">
-                  <span className="text-sm text-gray-600">{stat.games} games</span>
-                  <span className="font-bold text-blue-600">{stat.winRate}%</span>
-                </div>
-              </div>
-            ))}
-          </div>
-        ) : (
-          <p className="text-gray-500">No games logged yet.</p>
-        )}
-      </div>
+      <OpeningStatsCard key={timeControlGrouping} games={games} grouping={timeControlGrouping} />
     </div>
   );
 
@@ -613,6 +1261,34 @@ const ChessTracker = () => {
           </div>
         </div>
 
+        <div>
+          <label className="block text-sm font-medium mb-1">My Rating (optional)</label>
+          <div className="flex gap-2">
+            <input
+              type="number"
+              value={gameForm.myRating}
+              onChange={(e) => setGameForm({ ...gameForm, myRating: e.target.value })}
+              className="flex-1 p-2 border rounded"
+              placeholder="Filled from the PGN Elo tags when available"
+            />
+            <button
+              onClick={() => {
+                const others = games.filter(g => g.id !== editingGame?.id);
+                const estimate = estimateMyRating(others, gameForm.timeControl);
+                if (estimate === null) {
+                  alert(`Log a few ${gameForm.timeControl} games with opponent ratings first to estimate from.`);
+                  return;
+                }
+                setGameForm({ ...gameForm, myRating: String(estimate) });
+              }}
+              className="text-sm px-3 border rounded text-gray-700 hover:bg-gray-100"
+              title="Performance rating over your recent games in this time control"
+            >
+              Estimate
+            </button>
+          </div>
+        </div>
+
         <div>
           <label className="block text-sm font-medium mb-1">Opening</label>
           <input
@@ -624,19 +1300,53 @@ const ChessTracker = () => {
           />
         </div>
 
-        <div>
-          <label className="block text-sm font-medium mb-1">Time Control</label>
-          <select
-            value={gameForm.timeControl}
-            onChange={(e) =>
-              setGameForm({ ...gameForm, timeControl: e.target.value })
-            }
-            className="w-full p-2 border rounded"
-          >
-            <option value="blitz">Blitz</option>
-            <option value="rapid">Rapid</option>
-            <option value="classical">Classical</option>
-          </select>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-1">Time Control</label>
+            {/* Remounted when the PGN fills in the clock */}
+            <input
+              key={formatTimeControl(gameForm) || 'none'}
+              type="text"
+              defaultValue={formatTimeControl(gameForm)}
+              onBlur={(e) => {
+                const clock = parseTimeControlInput(e.target.value);
+                if (clock && clock.error) {
+                  alert(clock.error);
+                  e.target.value = formatTimeControl(gameForm);
+                  return;
+                }
+                setGameForm(
+                  clock
+                    ? { ...gameForm, ...clock, timeControl: timeControlCategory(clock) }
+                    : { ...gameForm, ...noTimeControl() }
+                );
+              }}
+              className="w-full p-2 border rounded font-mono"
+              placeholder="e.g. 5+3, 15+10 or 3d"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Category</label>
+            <select
+              value={gameForm.timeControl}
+              onChange={(e) =>
+                setGameForm({ ...gameForm, timeControl: e.target.value })
+              }
+              disabled={timeControlCategory(gameForm) !== null}
+              title={
+                timeControlCategory(gameForm) !== null
+                  ? 'Follows from the time control'
+                  : 'Pick one when the exact time control is unknown'
+              }
+              className="w-full p-2 border rounded disabled:bg-gray-100"
+            >
+              {TIME_CONTROL_CATEGORIES.map(c => (
+                <option key={c.value} value={c.value}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </div>
         </div>
 
         <div>
@@ -654,11 +1364,38 @@ const ChessTracker = () => {
           <label className="block text-sm font-medium mb-1">PGN (optional)</label>
           <textarea
             value={gameForm.pgn}
-            onChange={(e) => setGameForm({ ...gameForm, pgn: e.target.value })}
-            className="w-full p-2 border rounded font-mono text-sm"
+            onChange={(e) => handlePgnChange(e.target.value)}
+            className={`w-full p-2 border rounded font-mono text-sm ${
+              pgnStatus.error ? 'border-red-500' : ''
+            }`}
             rows={4}
             placeholder={`[Event "?"]\n1. e4 e5 2. Nf3 Nc6...`}
           />
+          <div className="flex items-center gap-2 mt-2">
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              className="flex-1 p-2 border rounded text-sm"
+              placeholder="Your username (to detect your color from the PGN)"
+            />
+            <button
+              type="button"
+              onClick={() => applyPgnToForm(gameForm.pgn)}
+              disabled={!gameForm.pgn.trim()}
+              className="text-blue-600 hover:text-blue-800 text-sm font-medium px-3 py-2 border rounded disabled:opacity-50"
+            >
+              Fill from PGN
+            </button>
+          </div>
+          {pgnStatus.error && (
+            <p className="text-sm text-red-600 mt-1">Invalid PGN: {pgnStatus.error}</p>
+          )}
+          {pgnStatus.warnings.map((w, i) => (
+            <p key={i} className="text-sm text-yellow-700 mt-1">
+              {w}
+            </p>
+          ))}
         </div>
 
         <button
@@ -670,8 +1407,7 @@ const ChessTracker = () => {
         {editingGame && (
           <button
             onClick={() => {
-              setEditingGame(null);
-              setCurrentView('dashboard');
+              goTo('game', { gameId: editingGame.id });
               resetGameForm();
             }}
             className="w-full bg-gray-600 text-white py-2 rounded-lg font-medium hover:bg-gray-700"
@@ -685,12 +1421,102 @@ const ChessTracker = () => {
 
   const renderAddMistake = () => (
     <div className="bg-white p-6 rounded-lg shadow max-w-2xl mx-auto">
-      <h2 className="text-2xl font-bold mb-2">Log Mistakes</h2>
+      <h2 className="text-2xl font-bold mb-2">
+        {editingMistakeId ? 'Edit Mistake' : 'Log Mistakes'}
+      </h2>
       <p className="text-gray-600 mb-6">
         Game vs {currentGame?.opponentRating} rated opponent
       </p>
 
       <div className="space-y-4 mb-6">
+        {currentGame?.pgn && (
+          <div>
+            <label className="block text-sm font-medium mb-1">
+              Where did it happen? (click the move you played)
+            </label>
+            <GameViewer
+              pgn={currentGame.pgn}
+              color={currentGame.color}
+              selectedPly={mistakeForm.ply}
+              onSelectMove={({ ply, san, fen }) => {
+                // A phase the user picked by hand wins over the inferred one
+                const inferred =
+                  mistakeForm.phaseSource === 'manual'
+                    ? {}
+                    : { gamePhase: inferGamePhase(fen).phase, phaseSource: 'inferred' };
+                setMistakeForm({
+                  ...mistakeForm,
+                  ply,
+                  san,
+                  fen,
+                  betterMove: ply === mistakeForm.ply ? mistakeForm.betterMove : '',
+                  clockSeconds: pgnClocks(currentGame.pgn)[ply] ?? mistakeForm.clockSeconds,
+                  ...inferred
+                });
+              }}
+            />
+            <div className="mt-3">
+              <EngineAnalysis
+                game={currentGame}
+                loggedPlies={currentGame.mistakes
+                  .filter(m => m.ply && m.id !== editingMistakeId)
+                  .map(m => m.ply)}
+                activePly={mistakeForm.ply}
+                onAnalysed={analysis => handleAnalysed(currentGame.id, analysis)}
+                onUseSuggestion={fields =>
+                  setMistakeForm({
+                    ...mistakeForm,
+                    ...fields,
+                    clockSeconds: pgnClocks(currentGame.pgn)[fields.ply] ?? mistakeForm.clockSeconds
+                  })
+                }
+              />
+            </div>
+            {mistakeForm.fen ? (
+              <div className="flex items-start gap-4 mt-2">
+                <MistakePosition mistake={mistakeForm} color={currentGame.color} />
+                <div className="flex-1 space-y-2">
+                  <div className="text-sm">
+                    Linked to{' '}
+                    <span className="font-mono font-medium">
+                      {moveLabel(mistakeForm.ply, mistakeForm.san)}
+                    </span>{' '}
+                    <button
+                      onClick={() =>
+                        setMistakeForm({
+                          ...mistakeForm,
+                          ply: null,
+                          san: '',
+                          fen: '',
+                          betterMove: '',
+                          phaseSource: mistakeForm.phaseSource === 'inferred' ? null : mistakeForm.phaseSource
+                        })
+                      }
+                      className="text-xs text-gray-600 hover:text-gray-800 px-2 py-0 border rounded bg-transparent"
+                    >
+                      Clear
+                    </button>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Better move (optional)</label>
+                    <input
+                      type="text"
+                      value={mistakeForm.betterMove}
+                      onChange={(e) =>
+                        setMistakeForm({ ...mistakeForm, betterMove: e.target.value })
+                      }
+                      className="w-full p-2 border rounded font-mono"
+                      placeholder="e.g. Nf3"
+                    />
+                  </div>
+                </div>
+              </div>
+            ) : (
+              <p className="text-xs text-gray-500 mt-1">No move linked.</p>
+            )}
+          </div>
+        )}
+
         <div>
           <label className="block text-sm font-medium mb-1">Mistake Type</label>
           <select
@@ -705,73 +1531,55 @@ const ChessTracker = () => {
           </select>
         </div>
 
-        {mistakeForm.mistakeType === 'tactical' ? (
-          <div>
-            <label className="block text-sm font-medium mb-1">Tactic Type Missed</label>
-            <select
-              value={mistakeForm.tacticType}
-              onChange={(e) =>
-                setMistakeForm({ ...mistakeForm, tacticType: e.target.value })
-              }
-              className="w-full p-2 border rounded"
-            >
-              <option value="fork">Fork</option>
-              <option value="pin">Pin</option>
-              <option value="skewer">Skewer</option>
-              <option value="backRank">Back Rank Mate</option>
-              <option value="discoveredAttack">Discovered Attack</option>
-              <option value="discoveredCheck">Discovered Check</option>
-              <option value="doubleAttack">Double Attack</option>
-              <option value="removalOfDefender">Removal of Defender</option>
-              <option value="deflection">Deflection</option>
-              <option value="decoy">Decoy</option>
-              <option value="sacrifice">Sacrifice</option>
-              <option value="zwischenzug">Zwischenzug/Intermezzo</option>
-              <option value="xRay">X-Ray Attack</option>
-              <option value="windmill">Windmill</option>
-              <option value="desperado">Desperado</option>
-              <option value="trappedPiece">Trapped Piece</option>
-              <option value="hangingPiece">Hanging Piece</option>
-              <option value="checkmate">Checkmate Pattern</option>
-              <option value="other">Other Tactical</option>
-            </select>
-          </div>
-        ) : (
-          <div>
-            <label className="block text-sm font-medium mb-1">Positional Error</label>
-            <select
-              value={mistakeForm.positionalType}
-              onChange={(e) =>
-                setMistakeForm({ ...mistakeForm, positionalType: e.target.value })
-              }
-              className="w-full p-2 border rounded"
-            >
-              <option value="weakSquares">Weak Squares</option>
-              <option value="badBishop">Bad Bishop</option>
-              <option value="pawnStructure">Pawn Structure</option>
-              <option value="kingSafety">King Safety</option>
-              <option value="pieceActivity">Piece Activity</option>
-              <option value="spaceAdvantage">Space Advantage</option>
-              <option value="initiative">Loss of Initiative</option>
-              <option value="badTrade">Bad Trade/Exchange</option>
-              <option value="wrongPlan">Wrong Plan</option>
-              <option value="passedPawn">Passed Pawn</option>
-              <option value="weakPawn">Weak/Isolated Pawn</option>
-              <option value="outpost">Outpost Squares</option>
-              <option value="openFile">Open File Control</option>
-              <option value="coordination">Piece Coordination</option>
-              <option value="prophylaxis">Lack of Prophylaxis</option>
-              <option value="other">Other Positional</option>
-            </select>
+        <div>
+          <label className="block text-sm font-medium mb-1">Severity</label>
+          <select
+            value={mistakeForm.severity}
+            onChange={(e) => setMistakeForm({ ...mistakeForm, severity: e.target.value })}
+            className="w-full p-2 border rounded"
+          >
+            {SEVERITIES.map(s => (
+              <option key={s.value} value={s.value}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <div className="flex justify-between items-baseline mb-1">
+            <label className="block text-sm font-medium">
+              {mistakeForm.mistakeType === 'tactical' ? 'Tactic Type Missed' : 'Positional Error'}
+            </label>
+            <a href={routeHash('categories')} className="text-xs text-blue-600 hover:underline">
+              Manage categories
+            </a>
           </div>
-        )}
+          <select
+            value={mistakeForm[categoryField]}
+            onChange={(e) =>
+              setMistakeForm({ ...mistakeForm, [categoryField]: e.target.value })
+            }
+            className="w-full p-2 border rounded"
+          >
+            {groupedCategories(taxonomy, mistakeForm.mistakeType).map(([group, categories]) => (
+              <optgroup key={group} label={group}>
+                {categories.map(c => (
+                  <option key={c.id} value={c.key} title={c.description}>
+                    {c.label}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </div>
 
         <div>
           <label className="block text-sm font-medium mb-1">Game Phase</label>
           <select
             value={mistakeForm.gamePhase}
             onChange={(e) =>
-              setMistakeForm({ ...mistakeForm, gamePhase: e.target.value })
+              setMistakeForm({ ...mistakeForm, gamePhase: e.target.value, phaseSource: 'manual' })
             }
             className="w-full p-2 border rounded"
           >
@@ -779,18 +1587,66 @@ const ChessTracker = () => {
             <option value="middlegame">Middlegame</option>
             <option value="endgame">Endgame</option>
           </select>
+          {mistakeForm.fen && mistakeForm.phaseSource === 'inferred' && (
+            <p className="text-xs text-gray-500 mt-1">
+              Inferred from the position ({inferGamePhase(mistakeForm.fen).reason}).
+            </p>
+          )}
+          {mistakeForm.fen && mistakeForm.phaseSource === 'manual' && (
+            <p className="text-xs text-gray-500 mt-1">
+              Set by hand.{' '}
+              <button
+                onClick={() =>
+                  setMistakeForm({
+                    ...mistakeForm,
+                    gamePhase: inferGamePhase(mistakeForm.fen).phase,
+                    phaseSource: 'inferred'
+                  })
+                }
+                className="text-blue-600 hover:underline p-0 bg-transparent border-0 text-xs"
+              >
+                Use inferred phase ({inferGamePhase(mistakeForm.fen).phase})
+              </button>
+            </p>
+          )}
         </div>
 
-        <div className="flex items-center gap-2">
-          <input
-            type="checkbox"
-            checked={mistakeForm.timePressure}
-            onChange={(e) =>
-              setMistakeForm({ ...mistakeForm, timePressure: e.target.checked })
-            }
-            className="w-4 h-4"
-          />
-          <label className="text-sm font-medium">Time pressure?</label>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-1">Clock left (optional)</label>
+            {/* Remounted when a linked move brings its own [%clk] time */}
+            <input
+              key={mistakeForm.clockSeconds ?? 'none'}
+              type="text"
+              defaultValue={formatClock(mistakeForm.clockSeconds)}
+              onBlur={(e) => {
+                const seconds = parseClockInput(e.target.value);
+                if (Number.isNaN(seconds)) {
+                  alert('Enter the clock as m:ss, h:mm:ss or seconds');
+                  e.target.value = formatClock(mistakeForm.clockSeconds);
+                  return;
+                }
+                setMistakeForm({ ...mistakeForm, clockSeconds: seconds });
+              }}
+              className="w-full p-2 border rounded font-mono"
+              placeholder="e.g. 0:45"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Root cause (optional)</label>
+            <select
+              value={mistakeForm.rootCause}
+              onChange={(e) => setMistakeForm({ ...mistakeForm, rootCause: e.target.value })}
+              className="w-full p-2 border rounded"
+            >
+              <option value="">Not given</option>
+              {ROOT_CAUSES.map(c => (
+                <option key={c.value} value={c.value}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </div>
         </div>
 
         <div>
@@ -808,8 +1664,16 @@ const ChessTracker = () => {
           onClick={handleAddMistake}
           className="w-full bg-red-600 text-white py-2 rounded-lg font-medium hover:bg-red-700"
         >
-          Add Mistake
+          {editingMistakeId ? 'Save Mistake' : 'Add Mistake'}
         </button>
+        {editingMistakeId && (
+          <button
+            onClick={cancelMistakeEdit}
+            className="w-full bg-gray-600 text-white py-2 rounded-lg font-medium hover:bg-gray-700"
+          >
+            Cancel Edit
+          </button>
+        )}
       </div>
 
       <div className="border-t pt-4">
@@ -819,19 +1683,46 @@ const ChessTracker = () => {
         {currentGame?.mistakes?.length > 0 && (
           <div className="space-y-2 mb-4">
             {currentGame.mistakes.map((m) => (
-              <div key={m.id} className="bg-gray-50 p-3 rounded">
-                <div className="font-medium capitalize">
-                  {m.mistakeType === 'tactical'
-                    ? formatKey(m.tacticType)
-                    : formatKey(m.positionalType)}{' '}
-                  - {m.gamePhase}
-                  {m.timePressure && (
-                    <span className="text-red-600 ml-2">⏱️ Time pressure</span>
-                  )}
+              <div
+                key={m.id}
+                className={`p-3 rounded ${
+                  editingMistakeId === m.id ? 'bg-blue-50 ring-2 ring-blue-300' : 'bg-gray-50'
+                }`}
+              >
+                <div className="flex justify-between items-start gap-2">
+                  <div className="font-medium capitalize">
+                    {mistakeLabel(taxonomy, m)}{' '}
+                    - {m.gamePhase}
+                    {m.san && (
+                      <span className="font-mono normal-case ml-2">
+                        {moveLabel(m.ply, m.san)}
+                      </span>
+                    )}
+                    {renderMistakeMeta(m)}
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    <button
+                      onClick={() => openMistakes(currentGame, m)}
+                      className="text-blue-600 hover:text-blue-800 text-xs font-medium px-2 py-1 border rounded"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDeleteMistake(currentGame, m.id)}
+                      className="text-red-600 hover:text-red-800 text-xs font-medium px-2 py-1 border rounded"
+                    >
+                      Delete
+                    </button>
+                  </div>
                 </div>
                 {m.note && (
                   <p className="text-sm text-gray-600 mt-1">{m.note}</p>
                 )}
+                {m.fen && (
+                  <div className="mt-2">
+                    <MistakePosition mistake={m} color={currentGame.color} />
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -840,107 +1731,377 @@ const ChessTracker = () => {
           onClick={finishAddingMistakes}
           className="w-full bg-green-600 text-white py-2 rounded-lg font-medium hover:bg-green-700"
         >
-          Done - Back to Dashboard
+          Done - View Game
         </button>
       </div>
     </div>
   );
 
-  const renderGameHistory = () => (
-    <div className="bg-white p-6 rounded-lg shadow">
-      <h2 className="text-2xl font-bold mb-6">Game History</h2>
-      {games.length > 0 ? (
-        <div className="space-y-4">
-          {[...games].reverse().map(game => (
-            <div key={game.id} className="border rounded-lg p-4 hover:bg-gray-50">
-              <div className="flex justify-between items-start mb-2">
-                <div className="flex-1">
-                  <div className="font-bold text-lg">
-                    {game.opening}{' '}
-                    <span
-                      className={`ml-3 px-2 py-1 rounded text-sm ${
-                        game.result === 'win'
-                          ? 'bg-green-100 text-green-800'
-                          : game.result === 'loss'
-                          ? 'bg-red-100 text-red-800'
-                          : 'bg-gray-100 text-gray-800'
-                      }`}
-                    >
-                      {game.result.toUpperCase()}
-                    </span>
+  const renderGameHistory = () => {
+    // The filtered games (every page) are also what the CSV and PGN exports write
+    const historyGames = sortGames(filterGames(games, historyFilters), historyFilters.sort);
+    const { items: pageGames, page, pageCount } = paginate(historyGames, historyFilters.page);
+    const goToPage = (n) =>
+      setHistoryFilters({ ...historyFilters, page: String(n) }, { replace: false });
+
+    return (
+      <div className="bg-white p-6 rounded-lg shadow">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold">Game History</h2>
+          {historyGames.length > 0 && (
+            <div className="flex gap-2">
+              <button
+                onClick={() =>
+                  downloadFile(
+                    `chesstracker-games-${todayStamp()}.csv`,
+                    gamesToCsv(historyGames),
+                    'text/csv'
+                  )
+                }
+                className="text-blue-600 hover:text-blue-800 text-sm font-medium px-3 py-1 border rounded flex items-center gap-1"
+              >
+                <Download size={14} /> Games CSV
+              </button>
+              <button
+                onClick={() =>
+                  downloadFile(
+                    `chesstracker-mistakes-${todayStamp()}.csv`,
+                    mistakesToCsv(historyGames),
+                    'text/csv'
+                  )
+                }
+                className="text-blue-600 hover:text-blue-800 text-sm font-medium px-3 py-1 border rounded flex items-center gap-1"
+              >
+                <Download size={14} /> Mistakes CSV
+              </button>
+              <button
+                onClick={() =>
+                  downloadFile(
+                    `chesstracker-games-${todayStamp()}.pgn`,
+                    gamesToPgn(historyGames, username, taxonomy),
+                    'application/x-chess-pgn'
+                  )
+                }
+                className="text-blue-600 hover:text-blue-800 text-sm font-medium px-3 py-1 border rounded flex items-center gap-1"
+              >
+                <Download size={14} /> Annotated PGN
+              </button>
+            </div>
+          )}
+        </div>
+        {games.length > 0 && (
+          <HistoryFilters
+            filters={historyFilters}
+            onChange={setHistoryFilters}
+            options={filterOptions(games)}
+            mistakeLabel={(key) => {
+              const [type, category] = key.split(':');
+              return categoryLabel(taxonomy, category, type);
+            }}
+            matched={historyGames.length}
+            total={games.length}
+          />
+        )}
+        {historyGames.length > 0 ? (
+          <div className="space-y-4">
+            {pageGames.map(game => (
+              <div key={game.id} className="border rounded-lg p-4 hover:bg-gray-50">
+                <div className="flex justify-between items-start mb-2">
+                  <div className="flex-1">
+                    <div className="font-bold text-lg">
+                      <a href={routeHash('game', { gameId: game.id })} className="hover:underline">
+                        {game.opening}
+                      </a>{' '}
+                      <span className={`ml-3 px-2 py-1 rounded text-sm ${resultBadgeClass(game.result)}`}>
+                        {game.result.toUpperCase()}
+                      </span>
+                    </div>
+                    <div className="text-sm text-gray-600 mt-1">
+                      {game.date} • {game.color} • vs {game.opponentRating} •{' '}
+                      {game.timeControl}
+                      {formatTimeControl(game) && ` ${formatTimeControl(game)}`}
+                    </div>
                   </div>
-                  <div className="text-sm text-gray-600 mt-1">
-                    {game.date} • {game.color} • vs {game.opponentRating} •{' '}
-                    {game.timeControl}
+                  <div className="flex gap-2 ml-4">
+                    <button
+                      onClick={() => openMistakes(game)}
+                      className="text-gray-700 hover:text-gray-900 text-sm font-medium px-3 py-1 border rounded"
+                    >
+                      Log Mistakes
+                    </button>
+                    <button
+                      onClick={() => handleEditGame(game)}
+                      className="text-blue-600 hover:text-blue-800 text-sm font-medium px-3 py-1 border rounded"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDeleteGame(game.id)}
+                      className="text-red-600 hover:text-red-800 text-sm font-medium px-3 py-1 border rounded"
+                    >
+                      Delete
+                    </button>
                   </div>
                 </div>
-                <div className="flex gap-2 ml-4">
-                  <button
-                    onClick={() => handleEditGame(game)}
-                    className="text-blue-600 hover:text-blue-800 text-sm font-medium px-3 py-1 border rounded"
-                  >
-                    Edit
-                  </button>
-                  <button
-                    onClick={() => handleDeleteGame(game.id)}
-                    className="text-red-600 hover:text-red-800 text-sm font-medium px-3 py-1 border rounded"
+
+                {game.mistakes.length > 0 && (
+                  <div className="mt-3 pt-3 border-t">
+                    <div className="text-sm font-medium text-red-600 mb-2">
+                      {game.mistakes.length} mistake
+                      {game.mistakes.length > 1 ? 's' : ''} logged
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      {game.mistakes.map((m) => (
+                        <span
+                          key={m.id}
+                          className={`text-xs pl-2 pr-1 py-1 rounded inline-flex items-center gap-1 ${
+                            m.mistakeType === 'tactical'
+                              ? 'bg-red-50 text-red-700'
+                              : 'bg-orange-50 text-orange-700'
+                          }`}
+                        >
+                          {mistakeLabel(taxonomy, m)}
+                          {m.san && ` @ ${moveLabel(m.ply, m.san)}`}
+                          <button
+                            onClick={() => openMistakes(game, m)}
+                            className="px-1 py-0 bg-transparent border-0 hover:text-blue-700"
+                            title="Edit mistake"
+                            aria-label="Edit mistake"
+                          >
+                            <Pencil size={12} />
+                          </button>
+                          <button
+                            onClick={() => handleDeleteMistake(game, m.id)}
+                            className="px-1 py-0 bg-transparent border-0 hover:text-red-900"
+                            title="Delete mistake"
+                            aria-label="Delete mistake"
+                          >
+                            <X size={12} />
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                    {game.mistakes.some(m => m.fen) && (
+                      <div className="flex flex-wrap gap-4 mt-3">
+                        {game.mistakes
+                          .filter(m => m.fen)
+                          .map(m => (
+                            <MistakePosition key={m.id} mistake={m} color={game.color} />
+                          ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {game.gameLink && (
+                  <a
+                    href={game.gameLink}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-sm text-blue-600 hover:underline mt-2 inline-block"
                   >
-                    Delete
-                  </button>
-                </div>
+                    View game →
+                  </a>
+                )}
+
+                {game.pgn && (
+                  <div className="mt-3">
+                    <button
+                      onClick={() =>
+                        setReplayGameId(replayGameId === game.id ? null : game.id)
+                      }
+                      className="text-sm text-gray-600 hover:text-gray-800 p-0 bg-transparent border-0"
+                    >
+                      {replayGameId === game.id ? '▾ Hide board' : '▸ Replay game'}
+                    </button>
+                    {/* Only the open game is replayed, so long histories stay cheap */}
+                    {replayGameId === game.id && (
+                      <div className="mt-2">
+                        <GameViewer pgn={game.pgn} color={game.color} />
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+            {pageCount > 1 && (
+              <div className="flex justify-center items-center gap-3 pt-2 text-sm">
+                <button
+                  onClick={() => goToPage(page - 1)}
+                  disabled={page === 1}
+                  className="px-3 py-1 border rounded disabled:opacity-40"
+                >
+                  ← Previous
+                </button>
+                <span className="text-gray-600">
+                  Page {page} of {pageCount}
+                </span>
+                <button
+                  onClick={() => goToPage(page + 1)}
+                  disabled={page === pageCount}
+                  className="px-3 py-1 border rounded disabled:opacity-40"
+                >
+                  Next →
+                </button>
               </div>
+            )}
+          </div>
+        ) : (
+          <p className="text-gray-500">
+            {games.length > 0 ? 'No games match these filters.' : 'No games logged yet.'}
+          </p>
+        )}
+      </div>
+    );
+  };
 
-              {game.mistakes.length > 0 && (
-                <div className="mt-3 pt-3 border-t">
-                  <div className="text-sm font-medium text-red-600 mb-2">
-                    {game.mistakes.length} mistake
-                    {game.mistakes.length > 1 ? 's' : ''} logged
+  const renderGameDetail = () => {
+    const game = currentGame;
+    return (
+      <div className="bg-white p-6 rounded-lg shadow space-y-6">
+        <div className="flex justify-between items-start">
+          <div>
+            <a
+              href={routeHash('history', { query: historyQuery })}
+              className="text-sm text-blue-600 hover:underline"
+            >
+              ← Game history
+            </a>
+            <h2 className="text-2xl font-bold mt-1">
+              {game.opening || 'Unknown opening'}
+              <span className={`ml-3 px-2 py-1 rounded text-sm align-middle ${resultBadgeClass(game.result)}`}>
+                {game.result.toUpperCase()}
+              </span>
+            </h2>
+            <div className="text-sm text-gray-600 mt-1">
+              {game.date} • {game.color} • vs {game.opponentRating} • {game.timeControl}
+              {formatTimeControl(game) && ` ${formatTimeControl(game)}`}
+            </div>
+            {game.gameLink && (
+              <a
+                href={game.gameLink}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-sm text-blue-600 hover:underline mt-1 inline-block"
+              >
+                View game →
+              </a>
+            )}
+          </div>
+          <div className="flex gap-2 ml-4">
+            <button
+              onClick={() => openMistakes(game)}
+              className="text-gray-700 hover:text-gray-900 text-sm font-medium px-3 py-1 border rounded"
+            >
+              Log Mistakes
+            </button>
+            <button
+              onClick={() => handleEditGame(game)}
+              className="text-blue-600 hover:text-blue-800 text-sm font-medium px-3 py-1 border rounded"
+            >
+              Edit
+            </button>
+            <button
+              onClick={() => handleDeleteGame(game.id)}
+              className="text-red-600 hover:text-red-800 text-sm font-medium px-3 py-1 border rounded"
+            >
+              Delete
+            </button>
+          </div>
+        </div>
+
+        {game.pgn ? (
+          // Remounting on a new ply moves the board there
+          <GameViewer
+            key={detailPly ?? 0}
+            pgn={game.pgn}
+            color={game.color}
+            initialPly={detailPly ?? 0}
+            selectedPly={detailPly}
+          />
+        ) : (
+          <p className="text-sm text-gray-500">No PGN saved for this game.</p>
+        )}
+
+        {game.pgn && <TimeUsageChart game={game} />}
+
+        <div className="border-t pt-4">
+          <h3 className="font-bold mb-2">Mistakes ({game.mistakes.length})</h3>
+          {game.mistakes.length === 0 && (
+            <p className="text-sm text-gray-500">No mistakes logged for this game.</p>
+          )}
+          <div className="space-y-2">
+            {game.mistakes.map((m) => (
+              <div
+                key={m.id}
+                className={`p-3 rounded ${
+                  m.ply && m.ply === detailPly ? 'bg-blue-50 ring-2 ring-blue-300' : 'bg-gray-50'
+                }`}
+              >
+                <div className="flex justify-between items-start gap-2">
+                  <div className="font-medium capitalize">
+                    {mistakeLabel(taxonomy, m)}{' '}
+                    - {m.gamePhase}
+                    {m.san && (
+                      <span className="font-mono normal-case ml-2">
+                        {moveLabel(m.ply, m.san)}
+                      </span>
+                    )}
+                    {renderMistakeMeta(m)}
                   </div>
-                  <div className="flex flex-wrap gap-2">
-                    {game.mistakes.map((m) => (
-                      <span
-                        key={m.id}
-                        className={`text-xs px-2 py-1 rounded ${
-                          m.mistakeType === 'tactical'
-                            ? 'bg-red-50 text-red-700'
-                            : 'bg-orange-50 text-orange-700'
-                        }`}
+                  <div className="flex gap-2 shrink-0">
+                    {game.pgn && m.ply && (
+                      <button
+                        onClick={() => setDetailPly(m.ply)}
+                        className="text-gray-700 hover:text-gray-900 text-xs font-medium px-2 py-1 border rounded"
                       >
-                        {m.mistakeType === 'tactical'
-                          ? formatKey(m.tacticType)
-                          : formatKey(m.positionalType)}
-                      </span>
-                    ))}
+                        Show on board
+                      </button>
+                    )}
+                    <button
+                      onClick={() => openMistakes(game, m)}
+                      className="text-blue-600 hover:text-blue-800 text-xs font-medium px-2 py-1 border rounded"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDeleteMistake(game, m.id)}
+                      className="text-red-600 hover:text-red-800 text-xs font-medium px-2 py-1 border rounded"
+                    >
+                      Delete
+                    </button>
                   </div>
                 </div>
-              )}
-
-              {game.gameLink && (
-                <a
-                  href={game.gameLink}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="text-sm text-blue-600 hover:underline mt-2 inline-block"
-                >
-                  View game →
-                </a>
-              )}
-
-              {game.pgn && (
-                <details className="mt-3">
-                  <summary className="text-sm text-gray-600 cursor-pointer hover:text-gray-800">
-                    View PGN
-                  </summary>
-                  <pre className="mt-2 text-xs bg-gray-100 p-3 rounded overflow-x-auto font-mono">
-                    {game.pgn}
-                  </pre>
-                </details>
-              )}
-            </div>
-          ))}
+                {m.note && <p className="text-sm text-gray-600 mt-1">{m.note}</p>}
+                {m.betterMove && (
+                  <p className="text-sm text-gray-600 mt-1">
+                    Better: <span className="font-mono">{m.betterMove}</span>
+                  </p>
+                )}
+                {m.fen && (
+                  <div className="mt-2">
+                    <MistakePosition mistake={m} color={game.color} />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
         </div>
+      </div>
+    );
+  };
+
+  const renderMissingGame = () => (
+    <div className="bg-white p-6 rounded-lg shadow max-w-2xl mx-auto">
+      {gamesLoaded ? (
+        <>
+          <p className="text-gray-700 mb-2">This game doesn't exist, or it has been deleted.</p>
+          <a href={routeHash('history')} className="text-blue-600 hover:underline">
+            Go to game history
+          </a>
+        </>
       ) : (
-        <p className="text-gray-500">No games logged yet.</p>
+        <p className="text-gray-500">Loading…</p>
       )}
     </div>
   );
@@ -957,10 +2118,21 @@ const ChessTracker = () => {
           </p>
         </div>
 
+        {storageError && (
+          <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-4 mb-6">
+            <p className="font-bold">Your saved games could not be loaded.</p>
+            <p className="text-sm mt-1">{storageError}</p>
+            <p className="text-sm mt-1">
+              Nothing has been changed or deleted. Please don't clear your browser data; get in
+              touch so the upgrade can be fixed.
+            </p>
+          </div>
+        )}
+
         <div className="bg-white shadow-sm rounded-lg p-2 mb-6">
           <div className="flex gap-2">
             <button
-              onClick={() => setCurrentView('dashboard')}
+              onClick={() => goTo('dashboard')}
               className={`px-4 py-2 rounded font-medium ${
                 currentView === 'dashboard'
                   ? 'bg-blue-600 text-white'
@@ -971,9 +2143,8 @@ const ChessTracker = () => {
             </button>
             <button
               onClick={() => {
-                setEditingGame(null);
                 resetGameForm();
-                setCurrentView('addGame');
+                goTo('addGame');
               }}
               className={`px-4 py-2 rounded font-medium flex items-center gap-2 ${
                 currentView === 'addGame'
@@ -984,7 +2155,7 @@ const ChessTracker = () => {
               <PlusCircle size={18} /> Add Game
             </button>
             <button
-              onClick={() => setCurrentView('history')}
+              onClick={() => goTo('history', { query: historyQuery })}
               className={`px-4 py-2 rounded font-medium ${
                 currentView === 'history'
                   ? 'bg-blue-600 text-white'
@@ -993,13 +2164,117 @@ const ChessTracker = () => {
             >
               History
             </button>
+            <button
+              onClick={() => goTo('repertoire')}
+              className={`px-4 py-2 rounded font-medium flex items-center gap-2 ${
+                currentView === 'repertoire'
+                  ? 'bg-blue-600 text-white'
+                  : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              <GitBranch size={18} /> Repertoire
+            </button>
+            <button
+              onClick={() => goTo('training')}
+              className={`px-4 py-2 rounded font-medium flex items-center gap-2 ${
+                currentView === 'training'
+                  ? 'bg-blue-600 text-white'
+                  : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              <GraduationCap size={18} /> Training
+            </button>
+            <button
+              onClick={() => goTo('import')}
+              className={`px-4 py-2 rounded font-medium flex items-center gap-2 ${
+                currentView === 'import'
+                  ? 'bg-blue-600 text-white'
+                  : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              <Upload size={18} /> Import
+            </button>
+            <button
+              onClick={() => goTo('backup')}
+              className={`px-4 py-2 rounded font-medium flex items-center gap-2 ${
+                currentView === 'backup'
+                  ? 'bg-blue-600 text-white'
+                  : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              <Database size={18} /> Backup
+            </button>
+            <div className="ml-auto flex gap-1">
+              <button
+                onClick={() => handleUndo()}
+                disabled={undoHistory.past.length === 0}
+                title={
+                  undoHistory.past.length
+                    ? `Undo: ${undoHistory.past[undoHistory.past.length - 1].label} (Ctrl+Z)`
+                    : 'Nothing to undo'
+                }
+                className="px-3 py-2 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-40"
+              >
+                <Undo2 size={18} />
+              </button>
+              <button
+                onClick={handleRedo}
+                disabled={undoHistory.future.length === 0}
+                title={
+                  undoHistory.future.length
+                    ? `Redo: ${undoHistory.future[0].label} (Ctrl+Shift+Z)`
+                    : 'Nothing to redo'
+                }
+                className="px-3 py-2 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-40"
+              >
+                <Redo2 size={18} />
+              </button>
+            </div>
           </div>
         </div>
 
         {currentView === 'dashboard' && renderDashboard()}
-        {currentView === 'addGame' && renderAddGame()}
-        {currentView === 'addMistake' && renderAddMistake()}
+        {currentView === 'addGame' && (route.gameId === null || editingGame) && renderAddGame()}
+        {currentView === 'addMistake' && currentGame && renderAddMistake()}
+        {currentView === 'game' && currentGame && renderGameDetail()}
+        {route.gameId !== null && !currentGame && renderMissingGame()}
         {currentView === 'history' && renderGameHistory()}
+        {currentView === 'categories' && (
+          <TaxonomyEditor taxonomy={taxonomy} games={games} onChange={handleTaxonomyChange} />
+        )}
+        {currentView === 'training' && (
+          <PuzzleTrainer
+            games={games}
+            reviews={reviews}
+            onReview={handleReview}
+            mistakeLabel={m => mistakeLabel(taxonomy, m)}
+          />
+        )}
+        {currentView === 'repertoire' && (
+          <RepertoireExplorer
+            games={games}
+            mistakeLabel={m => mistakeLabel(taxonomy, m)}
+          />
+        )}
+        {currentView === 'import' && (
+          <ImportGames
+            games={games}
+            username={username}
+            onUsernameChange={setUsername}
+            onImport={handleImportGames}
+          />
+        )}
+        {currentView === 'backup' && (
+          <BackupRestore
+            games={games}
+            reviews={reviews}
+            taxonomy={taxonomy}
+            onMerge={handleMergeBackup}
+            onReplace={handleReplaceFromBackup}
+          />
+        )}
+
+        <Toast toast={toast} onUndo={() => handleUndo(toast.entryId)} onDismiss={dismissToast} />
       </div>
     </div>
   );
@@ -0,0 +1,137 @@
+import React from 'react';
+import { Cpu } from 'lucide-react';
+import { routeHash } from '../lib/router.js';
+
+const PHASES = ['opening', 'middlegame', 'endgame'];
+
+// Accuracy line over the analysed games, oldest on the left
+const AccuracyTrend = ({ byGame }) => {
+  const width = 600;
+  const height = 120;
+  const pad = 8;
+  const x = i => (byGame.length === 1 ? width / 2 : pad + (i * (width - 2 * pad)) / (byGame.length - 1));
+  const y = accuracy => height - pad - (accuracy / 100) * (height - 2 * pad);
+  const points = byGame.map((g, i) => `${x(i)},${y(g.accuracy)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-32" role="img" aria-label="Accuracy per game">
+      {[25, 50, 75].map(level => (
+        <line key={level} x1={0} x2={width} y1={y(level)} y2={y(level)} stroke="#e5e7eb" />
+      ))}
+      <polyline points={points} fill="none" stroke="#2563eb" strokeWidth={2} />
+      {byGame.map((g, i) => (
+        <circle key={g.id} cx={x(i)} cy={y(g.accuracy)} r={3} fill="#2563eb">
+          <title>{`${g.date} ${g.opening}: ${g.accuracy.toFixed(1)}% accuracy, ACPL ${g.acpl.toFixed(0)}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const SummaryTable = ({ title, rows }) => (
+  <div>
+    <h4 className="text-sm font-medium text-gray-600 mb-1">{title}</h4>
+    <table className="w-full text-sm">
+      <tbody>
+        {rows.map(([label, summary]) => (
+          <tr key={label} className="border-b last:border-0">
+            <td className="py-1 capitalize">{label}</td>
+            <td className="py-1 text-right font-bold">
+              {summary ? `${summary.accuracy.toFixed(0)}%` : '—'}
+            </td>
+            <td className="py-1 text-right text-gray-600">
+              {summary ? `ACPL ${summary.acpl.toFixed(0)}` : ''}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * Dashboard card for engine-measured accuracy and average centipawn loss.
+ * `stats` comes from computeAccuracyStats (lib/accuracy.js).
+ */
+const AccuracyCard = ({ stats }) => {
+  if (!stats.overall) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h3 className="text-lg font-bold mb-2 flex items-center gap-2">
+          <Cpu size={20} /> Engine Accuracy
+        </h3>
+        <p className="text-gray-500">
+          No analysed games yet. Open a game with a PGN, choose Log Mistakes and run the engine to
+          measure accuracy and centipawn loss.
+        </p>
+      </div>
+    );
+  }
+
+  const recent = stats.byGame.slice(-10).reverse();
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow space-y-5">
+      <div className="flex justify-between items-start">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <Cpu size={20} /> Engine Accuracy
+        </h3>
+        <span className="text-xs text-gray-500">
+          {stats.analysedGames} analysed game{stats.analysedGames !== 1 ? 's' : ''},{' '}
+          {stats.overall.moves} of your moves
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <p className="text-sm text-gray-600">Accuracy</p>
+          <p className="text-3xl font-bold text-blue-900">{stats.overall.accuracy.toFixed(1)}%</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-600">Average centipawn loss</p>
+          <p className="text-3xl font-bold text-blue-900">{stats.overall.acpl.toFixed(0)}</p>
+        </div>
+      </div>
+
+      {stats.byGame.length > 1 && <AccuracyTrend byGame={stats.byGame} />}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <SummaryTable title="By phase" rows={PHASES.map(p => [p, stats.byPhase[p]])} />
+        <SummaryTable title="By color" rows={['white', 'black'].map(c => [c, stats.byColor[c]])} />
+        <SummaryTable title="By time control" rows={Object.entries(stats.byTimeControl)} />
+      </div>
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-600 mb-1">Recent analysed games</h4>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 text-xs">
+              <th className="py-1">Game</th>
+              <th className="py-1 text-right">Accuracy</th>
+              <th className="py-1 text-right">ACPL</th>
+              <th className="py-1 text-right">Mistakes logged / measured</th>
+            </tr>
+          </thead>
+          <tbody>
+            {recent.map(g => (
+              <tr key={g.id} className="border-t">
+                <td className="py-1">
+                  <a href={routeHash('game', { gameId: g.id })} className="text-blue-600 hover:underline">
+                    {g.date} {g.opening}
+                  </a>
+                </td>
+                <td className="py-1 text-right font-bold">{g.accuracy.toFixed(0)}%</td>
+                <td className="py-1 text-right">{g.acpl.toFixed(0)}</td>
+                <td className="py-1 text-right">
+                  {g.reportedMistakes} / {g.measuredMistakes}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AccuracyCard;
@@ -0,0 +1,215 @@
+import React, { useState, useMemo } from 'react';
+import { Download, Upload } from 'lucide-react';
+import {
+  createBackup,
+  validateBackup,
+  planRestore,
+  planReviewRestore,
+  planCategoryRestore
+} from '../lib/backup.js';
+import { downloadFile, todayStamp } from '../lib/download.js';
+import { migrateGames } from '../lib/migrations.js';
+
+/**
+ * Backup & Restore view: download every game, puzzle review and mistake
+ * category as a versioned JSON file and restore one by merging into, or
+ * replacing, the stored data. `reviews` maps card id to review;
+ * onMerge/onReplace get { games, reviews, categories }.
+ */
+const BackupRestore = ({ games, reviews, taxonomy, onMerge, onReplace }) => {
+  const [fileName, setFileName] = useState('');
+  const [validation, setValidation] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [preferBackup, setPreferBackup] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const backup = validation?.backup;
+  // Stored games are on the current schema, so older backups are upgraded
+  // before comparing; otherwise every game would look like a conflict
+  const { incoming, plan, migrationError } = useMemo(() => {
+    if (!backup) return { incoming: [], plan: null, migrationError: null };
+    try {
+      const { games: migrated } = migrateGames(backup.games);
+      return { incoming: migrated, plan: planRestore(migrated, games), migrationError: null };
+    } catch (err) {
+      return { incoming: [], plan: null, migrationError: err.message };
+    }
+  }, [backup, games]);
+
+  const handleExport = () => {
+    downloadFile(
+      `chesstracker-backup-${todayStamp()}.json`,
+      createBackup(games, { reviews: Object.values(reviews), categories: taxonomy }),
+      'application/json'
+    );
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setValidation(validateBackup(await file.text()));
+    setMessage(null);
+  };
+
+  const handleRestore = async () => {
+    if (!backup || !plan) return;
+    try {
+      if (mode === 'replace') {
+        const question = `Replace all ${games.length} stored games with the ${backup.games.length} games in this backup?`;
+        if (!window.confirm(question)) return;
+        await onReplace({
+          games: incoming,
+          reviews: backup.reviews || null,
+          categories: backup.categories || null
+        });
+        setMessage(`Restored ${backup.games.length} games.`);
+      } else {
+        const overwritten = preferBackup ? plan.conflicts.map(c => c.incoming) : [];
+        await onMerge({
+          games: [...plan.added, ...overwritten],
+          reviews: planReviewRestore(backup.reviews, reviews),
+          categories: planCategoryRestore(backup.categories, taxonomy)
+        });
+        setMessage(
+          `Added ${plan.added.length} games` +
+            (plan.conflicts.length
+              ? `, ${preferBackup ? 'overwrote' : 'kept your version of'} ${plan.conflicts.length} conflicting games.`
+              : '.')
+        );
+      }
+      setValidation(null);
+      setFileName('');
+    } catch (err) {
+      setMessage(`Restore failed: ${err.message || err}`);
+    }
+  };
+
+  const describe = (game) =>
+    `${game.date} • ${game.opening || 'Unknown'} • ${game.result} • ${(game.mistakes || []).length} mistakes`;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow max-w-3xl mx-auto space-y-8">
+      <div>
+        <h2 className="text-2xl font-bold mb-2">Backup</h2>
+        <p className="text-gray-600 mb-4">
+          All your data lives in this browser only. Download a backup to keep it safe or move it
+          to another machine.
+        </p>
+        <button
+          onClick={handleExport}
+          disabled={games.length === 0}
+          className="bg-blue-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-blue-700 flex items-center gap-2 disabled:opacity-50"
+        >
+          <Download size={18} /> Download backup ({games.length} games)
+        </button>
+      </div>
+
+      <div className="border-t pt-6">
+        <h2 className="text-2xl font-bold mb-4">Restore</h2>
+        <label className="flex items-center gap-2 p-2 border rounded cursor-pointer text-sm text-gray-700 hover:bg-gray-50 mb-4">
+          <Upload size={16} /> {fileName || 'Choose a backup .json file…'}
+          <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+        </label>
+
+        {migrationError && (
+          <div className="bg-red-50 text-red-700 text-sm p-3 rounded mb-4">
+            <p className="font-medium">This backup can't be restored:</p>
+            <p>• {migrationError}</p>
+          </div>
+        )}
+
+        {validation?.errors.length > 0 && (
+          <div className="bg-red-50 text-red-700 text-sm p-3 rounded mb-4 space-y-1">
+            <p className="font-medium">This backup can't be restored:</p>
+            {validation.errors.map((err, i) => (
+              <p key={i}>• {err}</p>
+            ))}
+          </div>
+        )}
+
+        {backup && plan && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              {backup.games.length} games
+              {backup.reviews ? `, ${backup.reviews.length} puzzle reviews` : ''}
+              {backup.categories ? `, ${backup.categories.length} mistake categories` : ''}, exported{' '}
+              {new Date(backup.exportedAt).toLocaleString()} (schema v{backup.schemaVersion}).
+              {!backup.reviews && ' This backup has no puzzle progress; yours is kept.'}
+              {!backup.categories && ' This backup has no mistake categories; yours are kept.'}
+            </p>
+
+            <div className="flex gap-6 text-sm">
+              <label className="flex items-center gap-2">
+                <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                Merge with my games
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                Replace my games
+              </label>
+            </div>
+
+            {mode === 'merge' ? (
+              <div className="text-sm space-y-2">
+                <p>
+                  {plan.added.length} new • {plan.unchanged.length} already up to date •{' '}
+                  {plan.conflicts.length} conflicting
+                </p>
+                {backup.reviews && (
+                  <p className="text-gray-600">
+                    {planReviewRestore(backup.reviews, reviews).length} puzzle reviews are new or more
+                    recent than yours and will be stored.
+                  </p>
+                )}
+                {backup.categories && (
+                  <p className="text-gray-600">
+                    {planCategoryRestore(backup.categories, taxonomy).length} mistake categories are
+                    new and will be added; yours keep their names.
+                  </p>
+                )}
+                {plan.conflicts.length > 0 && (
+                  <>
+                    <div className="border rounded divide-y max-h-64 overflow-y-auto">
+                      {plan.conflicts.map(({ id, local, incoming }) => (
+                        <div key={id} className="p-2">
+                          <div className="font-mono text-xs text-gray-500">id {id}</div>
+                          <div>Yours: {describe(local)}</div>
+                          <div>Backup: {describe(incoming)}</div>
+                        </div>
+                      ))}
+                    </div>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={preferBackup}
+                        onChange={(e) => setPreferBackup(e.target.checked)}
+                        className="w-4 h-4"
+                      />
+                      Use the backup's version for conflicting games
+                    </label>
+                  </>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-red-600">
+                Your {games.length} stored games will be removed and replaced by the backup.
+              </p>
+            )}
+
+            <button
+              onClick={handleRestore}
+              className="w-full bg-green-600 text-white py-2 rounded-lg font-medium hover:bg-green-700"
+            >
+              Restore
+            </button>
+          </div>
+        )}
+
+        {message && <p className="text-sm text-gray-700 mt-4">{message}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default BackupRestore;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { parseFen } from '../lib/chess.js';
+
+/**
+ * Static chessboard for a FEN position.
+ * - `orientation` 'white' | 'black' decides which side is at the bottom
+ * - `lastMove` ({ from, to } square indexes) and `highlight` squares are marked
+ * - `onSquareClick(index)` makes squares clickable
+ */
+
+// Solid glyphs for both sides, colored via CSS; U+FE0E keeps the pawn from
+// turning into an emoji on some platforms
+const GLYPHS = { k: '♚', q: '♛', r: '♜', b: '♝', n: '♞', p: '♟\uFE0E' };
+
+const SIZES = {
+  sm: { board: 'w-48', square: 'text-xl', coords: false },
+  md: { board: 'w-80 max-w-full', square: 'text-4xl', coords: true }
+};
+
+const ChessBoard = ({
+  fen,
+  orientation = 'white',
+  lastMove = null,
+  highlight = [],
+  size = 'md',
+  onSquareClick
+}) => {
+  const { board } = parseFen(fen);
+  const { board: boardClass, square: squareClass, coords } = SIZES[size] || SIZES.md;
+  const order = [...Array(64).keys()];
+  if (orientation === 'black') order.reverse();
+
+  return (
+    <div className={`${boardClass} aspect-square grid grid-cols-8 border border-gray-700 select-none`}>
+      {order.map((sq, i) => {
+        const rank = Math.floor(sq / 8);
+        const file = sq % 8;
+        const light = (rank + file) % 2 === 0;
+        const marked =
+          highlight.includes(sq) || (lastMove && (lastMove.from === sq || lastMove.to === sq));
+        const piece = board[sq];
+        const showFile = coords && i >= 56;
+        const showRank = coords && i % 8 === 0;
+
+        return (
+          <div
+            key={sq}
+            onClick={onSquareClick ? () => onSquareClick(sq) : undefined}
+            className={`relative flex items-center justify-center leading-none ${squareClass} ${
+              marked
+                ? light ? 'bg-yellow-200' : 'bg-yellow-400'
+                : light ? 'bg-amber-100' : 'bg-amber-700'
+            } ${onSquareClick ? 'cursor-pointer' : ''}`}
+          >
+            {piece && (
+              <span
+                className={
+                  piece === piece.toUpperCase()
+                    ? 'text-white drop-shadow-[0_0_1px_#000]'
+                    : 'text-black'
+                }
+              >
+                {GLYPHS[piece.toLowerCase()]}
+              </span>
+            )}
+            {showRank && (
+              <span className="absolute top-0 left-0.5 text-[10px] text-gray-600">{8 - rank}</span>
+            )}
+            {showFile && (
+              <span className="absolute bottom-0 right-0.5 text-[10px] text-gray-600">
+                {'abcdefgh'[file]}
+              </span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ChessBoard;
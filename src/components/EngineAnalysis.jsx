@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Cpu } from 'lucide-react';
+import { createEngine, analyseGame, DEFAULT_DEPTH } from '../lib/engine.js';
+import { mistakeSuggestions, formatEval } from '../lib/analysis.js';
+import { moveLabel } from '../lib/pgn.js';
+
+const CLASS_STYLES = {
+  blunder: 'bg-red-100 text-red-800',
+  mistake: 'bg-orange-100 text-orange-800',
+  inaccuracy: 'bg-yellow-100 text-yellow-800'
+};
+
+/**
+ * Runs the local engine over a game's PGN and lists the player's inaccuracies,
+ * mistakes and blunders. `onAnalysed(analysis)` stores the result;
+ * `onUseSuggestion(fields)` pre-fills the mistake form with one of them.
+ * Plies in `loggedPlies` already have a mistake and aren't offered again.
+ */
+const EngineAnalysis = ({ game, loggedPlies, activePly, onAnalysed, onUseSuggestion }) => {
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [showMoves, setShowMoves] = useState(false);
+  const engineRef = useRef(null);
+  const abortRef = useRef(null);
+
+  // The worker holds several MB of WASM; let it go with the page
+  useEffect(
+    () => () => {
+      if (abortRef.current) abortRef.current.abort();
+      if (engineRef.current) engineRef.current.terminate();
+    },
+    []
+  );
+
+  const handleAnalyse = async () => {
+    setError(null);
+    setProgress({ done: 0, total: 0 });
+    abortRef.current = new AbortController();
+    try {
+      if (!engineRef.current) engineRef.current = createEngine();
+      const analysis = await analyseGame(engineRef.current, game.pgn, {
+        depth: DEFAULT_DEPTH,
+        signal: abortRef.current.signal,
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      await onAnalysed(analysis);
+    } catch (err) {
+      if (!abortRef.current?.signal.aborted) {
+        console.error('Engine analysis failed:', err);
+        setError(err.message || String(err));
+      }
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleCancel = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const analysis = game.analysis;
+  const suggestions = mistakeSuggestions(analysis, game.color, loggedPlies);
+
+  return (
+    <div className="border rounded-lg p-3 bg-gray-50 space-y-3">
+      <div className="flex justify-between items-center gap-3">
+        <div className="text-sm">
+          <span className="font-medium flex items-center gap-1">
+            <Cpu size={16} /> Engine analysis
+          </span>
+          {analysis && (
+            <span className="text-xs text-gray-500">
+              {analysis.engine}, depth {analysis.depth},{' '}
+              {new Date(analysis.analysedAt).toLocaleDateString()}
+            </span>
+          )}
+        </div>
+        {progress ? (
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            Analysing{progress.total ? ` position ${progress.done} of ${progress.total}` : '…'}
+            <button onClick={handleCancel} className="text-xs px-2 py-1 border rounded">
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={handleAnalyse}
+            className="text-blue-600 hover:text-blue-800 text-sm font-medium px-3 py-1 border rounded bg-white"
+          >
+            {analysis ? 'Re-analyse' : 'Analyse with engine'}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {analysis && (
+        <>
+          {suggestions.length > 0 ? (
+            <div className="space-y-1">
+              <p className="text-xs text-gray-600">
+                Your moves the engine didn't like. Use one to pre-fill the form, then pick what kind
+                of mistake it was.
+              </p>
+              {suggestions.map(s => (
+                <div
+                  key={s.ply}
+                  className={`flex items-center justify-between gap-2 text-sm p-1 rounded ${
+                    activePly === s.ply ? 'bg-blue-50 ring-1 ring-blue-300' : ''
+                  }`}
+                >
+                  <span className="flex items-center gap-2">
+                    <span className={`text-xs px-2 py-0.5 rounded capitalize ${CLASS_STYLES[s.classification]}`}>
+                      {s.classification}
+                    </span>
+                    <span className="font-mono">{moveLabel(s.ply, s.fields.san)}</span>
+                    <span className="text-gray-500">
+                      −{s.cpLoss} cp{s.fields.betterMove && `, best ${s.fields.betterMove}`}
+                    </span>
+                  </span>
+                  <button
+                    onClick={() => onUseSuggestion(s.fields)}
+                    className="text-xs px-2 py-1 border rounded bg-white hover:bg-gray-100"
+                  >
+                    Use
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">
+              No unlogged inaccuracies, mistakes or blunders in your moves.
+            </p>
+          )}
+
+          <button
+            onClick={() => setShowMoves(!showMoves)}
+            className="text-xs text-gray-600 hover:text-gray-800 p-0 bg-transparent border-0"
+          >
+            {showMoves ? '▾ Hide move evaluations' : '▸ Show move evaluations'}
+          </button>
+          {showMoves && (
+            <div className="max-h-64 overflow-y-auto text-xs font-mono border rounded bg-white">
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="px-2 py-1">Move</th>
+                    <th className="px-2 py-1">Eval</th>
+                    <th className="px-2 py-1">Best</th>
+                    <th className="px-2 py-1">Loss</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {analysis.moves.map(m => (
+                    <tr key={m.ply} className="border-t">
+                      <td className="px-2 py-1">{moveLabel(m.ply, m.san)}</td>
+                      <td className="px-2 py-1">{formatEval(m)}</td>
+                      <td className="px-2 py-1">{m.bestMove}</td>
+                      <td className="px-2 py-1">
+                        {m.cpLoss}
+                        {m.classification && (
+                          <span className={`ml-2 px-1 rounded ${CLASS_STYLES[m.classification]}`}>
+                            {m.classification}
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EngineAnalysis;
@@ -0,0 +1,105 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronsLeft, ChevronLeft, ChevronRight, ChevronsRight, RefreshCw } from 'lucide-react';
+import { replayPgn } from '../lib/chess.js';
+import ChessBoard from './ChessBoard.jsx';
+
+/**
+ * Replays a stored PGN: board, first/prev/next/last controls, arrow keys and
+ * a clickable move list. The board starts from `color`'s side.
+ * With `onSelectMove`, clicking a move also reports { ply, san, fen } where
+ * `fen` is the position before the move; `selectedPly` is outlined.
+ * The board opens after `initialPly` (0 = starting position).
+ */
+
+const GameViewer = ({ pgn, color = 'white', onSelectMove, selectedPly = null, initialPly = 0 }) => {
+  const { plies, error } = useMemo(() => replayPgn(pgn), [pgn]);
+  const [index, setIndex] = useState(() => Math.min(initialPly, Math.max(0, plies.length - 1)));
+  const [flipped, setFlipped] = useState(false);
+
+  if (error) {
+    return (
+      <div>
+        <p className="text-sm text-red-600 mb-2">Can't replay this PGN: {error}</p>
+        <pre className="text-xs bg-gray-100 p-3 rounded overflow-x-auto font-mono">{pgn}</pre>
+      </div>
+    );
+  }
+
+  const last = plies.length - 1;
+  const go = (i) => setIndex(Math.max(0, Math.min(last, i)));
+  const current = plies[index];
+  const orientation = (color === 'black') !== flipped ? 'black' : 'white';
+
+  const handleKeyDown = (e) => {
+    const moves = {
+      ArrowLeft: index - 1,
+      ArrowRight: index + 1,
+      ArrowUp: 0,
+      Home: 0,
+      ArrowDown: last,
+      End: last
+    };
+    if (moves[e.key] === undefined) return;
+    e.preventDefault();
+    go(moves[e.key]);
+  };
+
+  const controlClass =
+    'p-2 border rounded text-gray-700 hover:bg-gray-100 disabled:opacity-40';
+
+  return (
+    <div
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+      className="flex flex-col md:flex-row gap-4 outline-none focus:ring-2 focus:ring-blue-200 rounded p-2"
+    >
+      <div>
+        <ChessBoard fen={current.fen} orientation={orientation} lastMove={current.move} />
+        <div className="flex justify-center gap-2 mt-2">
+          <button onClick={() => go(0)} disabled={index === 0} className={controlClass} title="First (↑)">
+            <ChevronsLeft size={16} />
+          </button>
+          <button onClick={() => go(index - 1)} disabled={index === 0} className={controlClass} title="Previous (←)">
+            <ChevronLeft size={16} />
+          </button>
+          <button onClick={() => go(index + 1)} disabled={index === last} className={controlClass} title="Next (→)">
+            <ChevronRight size={16} />
+          </button>
+          <button onClick={() => go(last)} disabled={index === last} className={controlClass} title="Last (↓)">
+            <ChevronsRight size={16} />
+          </button>
+          <button onClick={() => setFlipped(f => !f)} className={controlClass} title="Flip board">
+            <RefreshCw size={16} />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 text-sm font-mono leading-7 max-h-80 overflow-y-auto">
+        {plies.slice(1).map((p, i) => (
+          <React.Fragment key={i}>
+            {(p.pgnMove.color === 'w' || i === 0) && (
+              <span className="text-gray-500 mr-1">
+                {p.pgnMove.moveNumber}
+                {p.pgnMove.color === 'w' ? '.' : '...'}
+              </span>
+            )}
+            <button
+              onClick={() => {
+                go(i + 1);
+                if (onSelectMove) onSelectMove({ ply: p.ply, san: p.san, fen: plies[i].fen });
+              }}
+              className={`px-1 py-0 mr-1 rounded border-0 ${
+                index === i + 1 ? 'bg-blue-600 text-white' : 'bg-transparent hover:bg-gray-200'
+              } ${selectedPly === p.ply ? 'ring-2 ring-red-500' : ''}`}
+            >
+              {p.san}
+            </button>
+          </React.Fragment>
+        ))}
+        {plies.length === 1 && <p className="text-gray-500">No moves in this PGN.</p>}
+      </div>
+    </div>
+  );
+};
+
+export default GameViewer;
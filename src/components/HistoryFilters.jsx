@@ -0,0 +1,154 @@
+import React from 'react';
+import { Search } from 'lucide-react';
+import { DEFAULT_FILTERS, SORT_OPTIONS, hasActiveFilters } from '../lib/historyFilters.js';
+
+/**
+ * Search, filter and sort controls for the game history.
+ * `options` lists the openings, time controls and mistake keys found in the
+ * games; `mistakeLabel` turns a mistake key into display text.
+ */
+const HistoryFilters = ({ filters, onChange, options, mistakeLabel, matched, total }) => {
+  // Any filter change starts again from the first page
+  const set = (key) => (e) => onChange({ ...filters, [key]: e.target.value, page: '1' });
+
+  const select = (key, label, choices) => (
+    <label className="text-sm">
+      <span className="block text-gray-600 mb-1">{label}</span>
+      <select value={filters[key]} onChange={set(key)} className="w-full p-2 border rounded">
+        <option value="">Any</option>
+        {choices.map(({ value, label: text }) => (
+          <option key={value} value={value}>
+            {text}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const tacticalKeys = options.mistakes.filter(k => k.startsWith('tactical:'));
+  const positionalKeys = options.mistakes.filter(k => k.startsWith('positional:'));
+
+  return (
+    <div className="border rounded-lg p-4 mb-6 bg-gray-50 space-y-3">
+      <div className="flex gap-3 items-end">
+        <label className="flex-1 text-sm">
+          <span className="block text-gray-600 mb-1">Search openings and mistake notes</span>
+          <span className="flex items-center gap-2 p-2 border rounded bg-white">
+            <Search size={16} className="text-gray-400" />
+            <input
+              type="search"
+              value={filters.q}
+              onChange={set('q')}
+              className="flex-1 outline-none"
+              placeholder="e.g. Najdorf back rank"
+            />
+          </span>
+        </label>
+        <label className="text-sm">
+          <span className="block text-gray-600 mb-1">Sort</span>
+          <select value={filters.sort} onChange={set('sort')} className="p-2 border rounded">
+            {SORT_OPTIONS.map(o => (
+              <option key={o.value} value={o.value}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <label className="text-sm">
+          <span className="block text-gray-600 mb-1">From</span>
+          <input type="date" value={filters.from} onChange={set('from')} className="w-full p-2 border rounded" />
+        </label>
+        <label className="text-sm">
+          <span className="block text-gray-600 mb-1">To</span>
+          <input type="date" value={filters.to} onChange={set('to')} className="w-full p-2 border rounded" />
+        </label>
+        {select('result', 'Result', [
+          { value: 'win', label: 'Win' },
+          { value: 'loss', label: 'Loss' },
+          { value: 'draw', label: 'Draw' }
+        ])}
+        {select('color', 'Color', [
+          { value: 'white', label: 'White' },
+          { value: 'black', label: 'Black' }
+        ])}
+        {select(
+          'timeControl',
+          'Time control',
+          options.timeControls.map(tc => ({ value: tc, label: tc }))
+        )}
+        {select(
+          'opening',
+          'Opening',
+          options.openings.map(o => ({ value: o, label: o }))
+        )}
+        <div className="text-sm">
+          <span className="block text-gray-600 mb-1">Opponent rating</span>
+          <div className="flex gap-1 items-center">
+            <input
+              type="number"
+              value={filters.ratingMin}
+              onChange={set('ratingMin')}
+              className="w-full p-2 border rounded"
+              placeholder="min"
+              aria-label="Minimum opponent rating"
+            />
+            –
+            <input
+              type="number"
+              value={filters.ratingMax}
+              onChange={set('ratingMax')}
+              className="w-full p-2 border rounded"
+              placeholder="max"
+              aria-label="Maximum opponent rating"
+            />
+          </div>
+        </div>
+        <label className="text-sm">
+          <span className="block text-gray-600 mb-1">Mistake type</span>
+          <select value={filters.mistake} onChange={set('mistake')} className="w-full p-2 border rounded">
+            <option value="">Any</option>
+            <option value="tactical">Any tactical</option>
+            <option value="positional">Any positional</option>
+            {tacticalKeys.length > 0 && (
+              <optgroup label="Tactical">
+                {tacticalKeys.map(k => (
+                  <option key={k} value={k}>
+                    {mistakeLabel(k)}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+            {positionalKeys.length > 0 && (
+              <optgroup label="Positional">
+                {positionalKeys.map(k => (
+                  <option key={k} value={k}>
+                    {mistakeLabel(k)}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex justify-between items-center text-sm text-gray-600">
+        <span>
+          Showing {matched} of {total} games
+        </span>
+        {hasActiveFilters(filters) && (
+          <button
+            onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort })}
+            className="text-blue-600 hover:text-blue-800 font-medium px-2 py-1 bg-transparent border-0"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryFilters;
@@ -0,0 +1,140 @@
+import React, { useState, useMemo } from 'react';
+import { Upload } from 'lucide-react';
+import { buildImportPreview } from '../lib/gameImport.js';
+
+/**
+ * Bulk import view: pick a .pgn file, review the parsed games, import the new ones.
+ */
+const ImportGames = ({ games, username, onUsernameChange, onImport }) => {
+  const [fileName, setFileName] = useState('');
+  const [fileText, setFileText] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // Recomputed when the username changes or an import adds to `games`
+  const rows = useMemo(
+    () => (fileText ? buildImportPreview(fileText, games, username) : []),
+    [fileText, games, username]
+  );
+  const importable = rows.filter(r => r.game && !r.duplicate && !r.unresolved);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setFileText(await file.text());
+    setMessage(null);
+  };
+
+  const handleImport = async () => {
+    if (importable.length === 0) return;
+    setImporting(true);
+    try {
+      await onImport(importable.map(r => r.game));
+      setMessage(
+        `Imported ${importable.length} game${importable.length !== 1 ? 's' : ''}.`
+      );
+      setFileText('');
+      setFileName('');
+    } catch (err) {
+      setMessage(`Import failed: ${err.message || err}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const statusOf = (row) => {
+    if (row.error) return <span className="text-red-600">Error: {row.error}</span>;
+    if (row.duplicate) return <span className="text-gray-500">Already logged — skipped</span>;
+    if (row.unresolved) {
+      return (
+        <span className="text-red-600">
+          Can't tell your color or result — set your username. {row.warnings.join(' ')}
+        </span>
+      );
+    }
+    if (row.warnings.length > 0) {
+      return <span className="text-yellow-700">New — {row.warnings.join(' ')}</span>;
+    }
+    return <span className="text-green-700">New</span>;
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <h2 className="text-2xl font-bold mb-6">Import PGN File</h2>
+      <div className="space-y-4 mb-6">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-1">PGN file</label>
+            <label className="flex items-center gap-2 p-2 border rounded cursor-pointer text-sm text-gray-700 hover:bg-gray-50">
+              <Upload size={16} /> {fileName || 'Choose a .pgn file…'}
+              <input type="file" accept=".pgn,text/plain" onChange={handleFile} className="hidden" />
+            </label>
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Your username</label>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => onUsernameChange(e.target.value)}
+              className="w-full p-2 border rounded"
+              placeholder="Used to detect your color in each game"
+            />
+          </div>
+        </div>
+        {message && <p className="text-sm text-gray-700">{message}</p>}
+      </div>
+
+      {rows.length > 0 && (
+        <>
+          <div className="overflow-x-auto mb-4">
+            <table className="w-full text-sm text-left">
+              <thead>
+                <tr className="border-b text-gray-600">
+                  <th className="py-2 pr-3">#</th>
+                  <th className="py-2 pr-3">Date</th>
+                  <th className="py-2 pr-3">White</th>
+                  <th className="py-2 pr-3">Black</th>
+                  <th className="py-2 pr-3">Result</th>
+                  <th className="py-2 pr-3">Opening</th>
+                  <th className="py-2 pr-3">Time Control</th>
+                  <th className="py-2">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr
+                    key={row.index}
+                    className={`border-b ${
+                      row.game && !row.duplicate && !row.unresolved ? '' : 'opacity-60'
+                    }`}
+                  >
+                    <td className="py-2 pr-3">{row.index + 1}</td>
+                    <td className="py-2 pr-3">{row.game?.date}</td>
+                    <td className="py-2 pr-3">{row.tags.White}</td>
+                    <td className="py-2 pr-3">{row.tags.Black}</td>
+                    <td className="py-2 pr-3 capitalize">{row.unresolved ? '' : row.game?.result}</td>
+                    <td className="py-2 pr-3">{row.game?.opening}</td>
+                    <td className="py-2 pr-3 capitalize">{row.game?.timeControl}</td>
+                    <td className="py-2">{statusOf(row)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button
+            onClick={handleImport}
+            disabled={importing || importable.length === 0}
+            className="w-full bg-blue-600 text-white py-2 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50"
+          >
+            {importing
+              ? 'Importing…'
+              : `Import ${importable.length} of ${rows.length} game${rows.length !== 1 ? 's' : ''}`}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportGames;
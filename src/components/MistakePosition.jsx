@@ -0,0 +1,35 @@
+import React from 'react';
+import { parseFen, sanToMove } from '../lib/chess.js';
+import { moveLabel } from '../lib/pgn.js';
+import ChessBoard from './ChessBoard.jsx';
+
+/**
+ * Small board of the position a mistake was made in, with the move played
+ * highlighted and the suggested better move underneath.
+ */
+const MistakePosition = ({ mistake, color = 'white' }) => {
+  if (!mistake.fen) return null;
+
+  let played = null;
+  try {
+    played = sanToMove(parseFen(mistake.fen), mistake.san);
+  } catch {
+    return null;
+  }
+
+  return (
+    <div className="inline-block">
+      <ChessBoard fen={mistake.fen} orientation={color} lastMove={played} size="sm" />
+      <div className="text-xs text-gray-700 mt-1">
+        Played <span className="font-mono font-medium">{moveLabel(mistake.ply, mistake.san)}</span>
+        {mistake.betterMove && (
+          <>
+            {' '}• better <span className="font-mono font-medium text-green-700">{mistake.betterMove}</span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MistakePosition;
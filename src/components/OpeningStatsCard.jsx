@@ -0,0 +1,131 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronRight, ChevronDown } from 'lucide-react';
+import { openingStats } from '../lib/openings.js';
+import { routeHash } from '../lib/router.js';
+import { timeControlKey } from '../lib/timeControl.js';
+
+const scoreClass = score =>
+  score >= 60 ? 'text-green-600' : score < 40 ? 'text-red-600' : 'text-blue-600';
+
+const Tally = ({ stat }) => (
+  <>
+    <td className="py-2 text-right">{stat.games}</td>
+    <td className="py-2 text-right text-gray-600">
+      {stat.wins}/{stat.draws}/{stat.losses}
+    </td>
+    <td className={`py-2 text-right font-bold ${scoreClass(stat.score)}`}>{stat.score.toFixed(0)}%</td>
+  </>
+);
+
+/**
+ * Dashboard card: opening families (ECO-normalised, see lib/eco.js) with
+ * expandable variation rows, filterable by colour and time control.
+ * `grouping` picks time control categories or exact controls.
+ */
+const OpeningStatsCard = ({ games, grouping = 'category' }) => {
+  const [color, setColor] = useState('');
+  const [timeControl, setTimeControl] = useState('');
+  const [expanded, setExpanded] = useState({});
+
+  const timeControls = useMemo(
+    () => [...new Set(games.map(g => timeControlKey(g, grouping)))].sort(),
+    [games, grouping]
+  );
+  const families = useMemo(
+    () => openingStats(games, { color, timeControl, grouping }),
+    [games, color, timeControl, grouping]
+  );
+
+  const toggle = family => setExpanded(prev => ({ ...prev, [family]: !prev[family] }));
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h3 className="text-lg font-bold">Opening Performance</h3>
+        <div className="flex gap-2 text-sm">
+          <select value={color} onChange={e => setColor(e.target.value)} className="p-1 border rounded">
+            <option value="">Both colors</option>
+            <option value="white">As White</option>
+            <option value="black">As Black</option>
+          </select>
+          <select
+            value={timeControl}
+            onChange={e => setTimeControl(e.target.value)}
+            className="p-1 border rounded capitalize"
+          >
+            <option value="">All time controls</option>
+            {timeControls.map(tc => (
+              <option key={tc} value={tc}>
+                {tc}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {families.length > 0 ? (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 text-xs">
+              <th className="py-1">Opening</th>
+              <th className="py-1 text-right">Games</th>
+              <th className="py-1 text-right">W/D/L</th>
+              <th className="py-1 text-right">Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            {families.map((stat) => {
+              const open = expanded[stat.family];
+              const variations = stat.variations.filter(v => v.variation);
+              return (
+                <React.Fragment key={stat.family}>
+                  <tr className="border-t">
+                    <td className="py-2">
+                      <button
+                        onClick={() => toggle(stat.family)}
+                        disabled={variations.length === 0}
+                        className="flex items-center gap-1 font-medium text-left disabled:cursor-default"
+                        aria-expanded={variations.length > 0 ? Boolean(open) : undefined}
+                      >
+                        {variations.length > 0 ? (
+                          open ? <ChevronDown size={16} /> : <ChevronRight size={16} />
+                        ) : (
+                          <span className="inline-block w-4" />
+                        )}
+                        {stat.family}
+                        {stat.eco && <span className="ml-1 text-xs text-gray-500 font-normal">{stat.eco}</span>}
+                      </button>
+                    </td>
+                    <Tally stat={stat} />
+                  </tr>
+                  {open &&
+                    stat.variations.map(v => (
+                      <tr key={v.variation || ''} className="border-t bg-gray-50 text-gray-700">
+                        <td className="py-2 pl-8">
+                          {v.variation || <span className="italic text-gray-500">Other / unspecified</span>}
+                          {v.variation && v.eco && <span className="ml-2 text-xs text-gray-500">{v.eco}</span>}
+                        </td>
+                        <Tally stat={v} />
+                      </tr>
+                    ))}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-gray-500">
+          {games.length > 0 ? 'No games match these filters.' : 'No games logged yet.'}
+        </p>
+      )}
+      <div className="flex justify-between items-center text-xs mt-2">
+        <span className="text-gray-500">Score counts a draw as half a point.</span>
+        <a href={routeHash('repertoire')} className="text-blue-600 hover:underline">
+          Explore move by move →
+        </a>
+      </div>
+    </div>
+  );
+};
+
+export default OpeningStatsCard;
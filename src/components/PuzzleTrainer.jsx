@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { GraduationCap, Check, X } from 'lucide-react';
+import { parseFen, colorOf, moveToSan, legalMoves } from '../lib/chess.js';
+import { moveLabel } from '../lib/pgn.js';
+import { routeHash } from '../lib/router.js';
+import { puzzleCards, dueCards, findMove, isSolution, newReview, gradeReview, GRADES } from '../lib/training.js';
+import ChessBoard from './ChessBoard.jsx';
+
+const PROMOTIONS = ['q', 'r', 'b', 'n'];
+const PIECE_NAMES = { q: 'Queen', r: 'Rook', b: 'Bishop', n: 'Knight' };
+
+// One puzzle: pick a piece, then its target square. Remounted per card.
+const Puzzle = ({ card, mistakeLabel, onGrade }) => {
+  const [selected, setSelected] = useState(null);
+  const [promotion, setPromotion] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [gaveUp, setGaveUp] = useState(false);
+  const pos = parseFen(card.fen);
+  let status = 'solving';
+  if (gaveUp) status = 'failed';
+  else if (attempt) status = isSolution(card, attempt) ? 'solved' : 'failed';
+
+  const tryMove = (move) => {
+    setSelected(null);
+    setPromotion(null);
+    setAttempt(move);
+  };
+
+  const handleSquareClick = (sq) => {
+    if (status !== 'solving' || promotion) return;
+    const piece = pos.board[sq];
+    if (piece && colorOf(piece) === pos.turn) {
+      setSelected(sq === selected ? null : sq);
+      return;
+    }
+    if (selected === null) return;
+    const options = legalMoves(pos).filter(m => m.from === selected && m.to === sq);
+    if (options.length > 1) setPromotion({ from: selected, to: sq });
+    else if (options.length === 1) tryMove(options[0]);
+    else setSelected(null);
+  };
+
+  const shown = status === 'solving' ? null : status === 'failed' ? card.solution : attempt;
+  const mistake = card.mistake;
+
+  return (
+    <div className="flex flex-col md:flex-row gap-6">
+      <div>
+        <ChessBoard
+          fen={card.fen}
+          orientation={card.orientation}
+          lastMove={shown}
+          highlight={selected !== null ? [selected] : []}
+          onSquareClick={handleSquareClick}
+        />
+        {promotion && (
+          <div className="flex justify-center gap-2 mt-2">
+            {PROMOTIONS.map(p => (
+              <button
+                key={p}
+                onClick={() => tryMove(findMove(card.fen, promotion.from, promotion.to, p))}
+                className="px-2 py-1 border rounded text-sm hover:bg-gray-100"
+              >
+                {PIECE_NAMES[p]}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 space-y-3 text-sm">
+        <p className="text-base font-medium">
+          {card.orientation === 'white' ? 'White' : 'Black'} to move. Find the better move.
+        </p>
+        <p className="text-gray-600">
+          From your game on{' '}
+          <a href={routeHash('game', { gameId: card.gameId })} className="text-blue-600 hover:underline">
+            {card.gameDate}
+          </a>
+          {mistake.san && (
+            <>
+              {' '}where you played <span className="font-mono">{moveLabel(mistake.ply, mistake.san)}</span>
+            </>
+          )}
+          .
+        </p>
+
+        {status === 'solving' && (
+          <button
+            onClick={() => setGaveUp(true)}
+            className="text-gray-600 hover:text-gray-900 text-xs font-medium px-2 py-1 border rounded"
+          >
+            Show solution
+          </button>
+        )}
+
+        {status === 'solved' && (
+          <div className="space-y-3">
+            <p className="text-green-700 font-medium flex items-center gap-1">
+              <Check size={16} /> Correct: <span className="font-mono">{card.solutionSan}</span>
+            </p>
+            <p className="text-gray-600">How hard was it?</p>
+            <div className="flex gap-2">
+              {['hard', 'good', 'easy'].map(grade => (
+                <button
+                  key={grade}
+                  onClick={() => onGrade(GRADES[grade])}
+                  className="px-3 py-1 border rounded font-medium capitalize hover:bg-gray-100"
+                >
+                  {grade}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {status === 'failed' && (
+          <div className="space-y-3">
+            <p className="text-red-700 font-medium flex items-center gap-1">
+              <X size={16} />
+              {gaveUp ? 'The answer was' : `${moveToSan(pos, attempt)} isn't it. The answer was`}{' '}
+              <span className="font-mono">{card.solutionSan}</span>
+            </p>
+            <button
+              onClick={() => onGrade(GRADES.failed)}
+              className="px-3 py-1 border rounded font-medium hover:bg-gray-100"
+            >
+              Next
+            </button>
+          </div>
+        )}
+
+        {status !== 'solving' && (
+          <div className="border-t pt-3 text-gray-600">
+            <p className="font-medium capitalize text-gray-800">{mistakeLabel(mistake)}</p>
+            {mistake.note && <p className="mt-1">{mistake.note}</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Training view: puzzles from our own mistakes (lib/training.js), due cards
+ * first. `reviews` maps card id to its review state; grading a card hands the
+ * updated review to `onReview`, which stores it.
+ */
+const PuzzleTrainer = ({ games, reviews, onReview, mistakeLabel }) => {
+  const cards = puzzleCards(games).map(card => ({
+    ...card,
+    gameDate: (games.find(g => g.id === card.gameId) || {}).date
+  }));
+  const due = dueCards(cards, reviews);
+  const card = due[0];
+  const fresh = due.filter(c => !reviews[c.id]).length;
+
+  const handleGrade = (grade) => {
+    onReview(gradeReview(reviews[card.id] || newReview(card.id), grade));
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <GraduationCap size={24} /> Training
+        </h2>
+        <span className="text-sm text-gray-500">
+          {due.length} due ({fresh} new) of {cards.length} puzzle{cards.length !== 1 ? 's' : ''}
+        </span>
+      </div>
+
+      {cards.length === 0 && (
+        <p className="text-gray-500">
+          No puzzles yet. Log a mistake on a move of a game with a PGN and give the better move; it
+          becomes a puzzle here.
+        </p>
+      )}
+      {cards.length > 0 && !card && (
+        <p className="text-gray-500">All caught up. Come back when the next puzzles are due.</p>
+      )}
+      {card && <Puzzle key={card.id} card={card} mistakeLabel={mistakeLabel} onGrade={handleGrade} />}
+    </div>
+  );
+};
+
+export default PuzzleTrainer;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { RATING_BANDS, BAND_MARGIN } from '../lib/rating.js';
+
+/**
+ * Dashboard card: score, draw rate and mistakes per game against opponents
+ * rated much lower / similar / much higher, with the Elo-expected score.
+ * `stats` comes from ratingBandStats (lib/rating.js).
+ */
+const RatingBandsCard = ({ stats }) => {
+  if (!RATING_BANDS.some(b => stats[b.key])) return null;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <h3 className="text-lg font-bold mb-1">Performance by Opponent Rating</h3>
+      <p className="text-xs text-gray-500 mb-4">
+        Compared with your rating at the time (recorded, or estimated from results). Expected score
+        uses the Elo formula.
+      </p>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 text-xs">
+            <th className="py-1">Opponent</th>
+            <th className="py-1 text-right">Games</th>
+            <th className="py-1 text-right">Score</th>
+            <th className="py-1 text-right">Expected</th>
+            <th className="py-1 text-right">Draws</th>
+            <th className="py-1 text-right">Mistakes/game</th>
+            <th className="py-1 text-right">Blunders/game</th>
+          </tr>
+        </thead>
+        <tbody>
+          {RATING_BANDS.map(({ key, label }) => {
+            const s = stats[key];
+            if (!s) {
+              return (
+                <tr key={key} className="border-t text-gray-400">
+                  <td className="py-2">{label}</td>
+                  <td className="py-2 text-right" colSpan={6}>
+                    no games
+                  </td>
+                </tr>
+              );
+            }
+            const diff = s.score - s.expected;
+            return (
+              <tr key={key} className="border-t">
+                <td className="py-2">{label}</td>
+                <td className="py-2 text-right">{s.games}</td>
+                <td className="py-2 text-right font-bold">{s.score.toFixed(0)}%</td>
+                <td className="py-2 text-right">
+                  {s.expected.toFixed(0)}%
+                  <span className={`ml-1 text-xs ${diff >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    ({diff >= 0 ? '+' : ''}
+                    {diff.toFixed(0)})
+                  </span>
+                </td>
+                <td className="py-2 text-right">{s.drawRate.toFixed(0)}%</td>
+                <td className="py-2 text-right">{s.mistakesPerGame.toFixed(1)}</td>
+                <td className="py-2 text-right" title={`${s.analysedGames} analysed games`}>
+                  {s.blundersPerGame === null ? '—' : s.blundersPerGame.toFixed(1)}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500 mt-2">
+        "Much" means more than {BAND_MARGIN} points apart. Blunders per game come from engine-analysed
+        games only.
+      </p>
+    </div>
+  );
+};
+
+export default RatingBandsCard;
@@ -0,0 +1,99 @@
+import React from 'react';
+
+const COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2'];
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PAD = { top: 10, right: 10, bottom: 24, left: 44 };
+
+const dayNumber = date => Date.parse(date) / 86400000;
+
+/**
+ * Own rating over time as an SVG line chart, one line per time control.
+ * `series` comes from ratingSeries (lib/rating.js); estimated points are hollow.
+ */
+const RatingChart = ({ series }) => {
+  const entries = Object.entries(series).filter(([, points]) => points.length > 0);
+  if (entries.length === 0) return null;
+
+  const all = entries.flatMap(([, points]) => points);
+  const days = all.map(p => dayNumber(p.date));
+  const ratings = all.map(p => p.rating);
+  const [minDay, maxDay] = [Math.min(...days), Math.max(...days)];
+  // Round the rating axis out to the nearest 50
+  const minRating = Math.floor((Math.min(...ratings) - 25) / 50) * 50;
+  const maxRating = Math.ceil((Math.max(...ratings) + 25) / 50) * 50;
+
+  const x = date =>
+    maxDay === minDay
+      ? (PAD.left + WIDTH - PAD.right) / 2
+      : PAD.left + ((dayNumber(date) - minDay) / (maxDay - minDay)) * (WIDTH - PAD.left - PAD.right);
+  const y = rating =>
+    PAD.top + ((maxRating - rating) / (maxRating - minRating)) * (HEIGHT - PAD.top - PAD.bottom);
+
+  const step = Math.max(50, Math.ceil((maxRating - minRating) / 4 / 50) * 50);
+  const gridLines = [];
+  for (let r = minRating; r <= maxRating; r += step) gridLines.push(r);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" role="img" aria-label="Rating over time">
+        {gridLines.map(r => (
+          <g key={r}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(r)} y2={y(r)} stroke="#e5e7eb" />
+            <text x={PAD.left - 6} y={y(r) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+              {r}
+            </text>
+          </g>
+        ))}
+        <text x={PAD.left} y={HEIGHT - 6} fontSize="11" fill="#6b7280">
+          {all.reduce((min, p) => (p.date < min ? p.date : min), all[0].date)}
+        </text>
+        <text x={WIDTH - PAD.right} y={HEIGHT - 6} textAnchor="end" fontSize="11" fill="#6b7280">
+          {all.reduce((max, p) => (p.date > max ? p.date : max), all[0].date)}
+        </text>
+
+        {entries.map(([timeControl, points], i) => {
+          const color = COLORS[i % COLORS.length];
+          return (
+            <g key={timeControl}>
+              <polyline
+                points={points.map(p => `${x(p.date)},${y(p.rating)}`).join(' ')}
+                fill="none"
+                stroke={color}
+                strokeWidth={2}
+              />
+              {points.map(p => (
+                <circle
+                  key={p.id}
+                  cx={x(p.date)}
+                  cy={y(p.rating)}
+                  r={3}
+                  fill={p.estimated ? 'white' : color}
+                  stroke={color}
+                  strokeWidth={1.5}
+                >
+                  <title>{`${p.date} ${timeControl}: ${p.rating}${p.estimated ? ' (estimated)' : ''}`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex flex-wrap gap-4 text-xs text-gray-600 mt-1">
+        {entries.map(([timeControl, points], i) => (
+          <span key={timeControl} className="flex items-center gap-1 capitalize">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ background: COLORS[i % COLORS.length] }} />
+            {timeControl} ({points[points.length - 1].rating})
+          </span>
+        ))}
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-full border border-gray-500 bg-white" /> estimated
+          from results
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default RatingChart;
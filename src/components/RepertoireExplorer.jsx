@@ -0,0 +1,190 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronsLeft, ChevronLeft, GitBranch } from 'lucide-react';
+import { buildRepertoire, nodeMoves, nodeScore, START_KEY, REPERTOIRE_DEPTH } from '../lib/repertoire.js';
+import { moveLabel } from '../lib/pgn.js';
+import { routeHash } from '../lib/router.js';
+import ChessBoard from './ChessBoard.jsx';
+
+const scoreClass = score =>
+  score >= 60 ? 'text-green-600' : score < 40 ? 'text-red-600' : 'text-blue-600';
+
+/**
+ * Opening tree from our own games (lib/repertoire.js), one colour at a time.
+ * Clicking a move walks down the tree; the board and the line so far follow.
+ * `mistakeLabel(mistake)` gives the display name of a logged mistake.
+ */
+const RepertoireExplorer = ({ games, mistakeLabel }) => {
+  const [color, setColor] = useState('white');
+  // Moves walked from the start: [{ san, move, key }]
+  const [path, setPath] = useState([]);
+
+  const tree = useMemo(() => buildRepertoire(games, color), [games, color]);
+  // Start over if an edit or delete took the walked line out of the tree
+  const line = path.length && !tree[path[path.length - 1].key] ? [] : path;
+  const key = line.length ? line[line.length - 1].key : START_KEY;
+  const node = tree[key];
+  const moves = nodeMoves(node);
+  const ourMove = (line.length % 2 === 0) === (color === 'white');
+  const lastMove = line.length ? line[line.length - 1].move : null;
+
+  const switchColor = (next) => {
+    setColor(next);
+    setPath([]);
+  };
+
+  const controlClass = 'p-2 border rounded text-gray-700 hover:bg-gray-100 disabled:opacity-40';
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <GitBranch size={24} /> Repertoire Explorer
+        </h2>
+        <div className="flex gap-2">
+          {['white', 'black'].map(c => (
+            <button
+              key={c}
+              onClick={() => switchColor(c)}
+              className={`px-3 py-1 rounded border text-sm font-medium capitalize ${
+                color === c ? 'bg-blue-600 text-white border-blue-600' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              As {c}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {tree[START_KEY].games === 0 ? (
+        <p className="text-gray-500">
+          No {color} games with a PGN yet. Import games or paste a PGN when adding a game to build
+          the tree.
+        </p>
+      ) : (
+        <div className="flex flex-col md:flex-row gap-6">
+          <div>
+            <ChessBoard fen={node.fen} orientation={color} lastMove={lastMove} />
+            <div className="flex justify-center gap-2 mt-2">
+              <button
+                onClick={() => setPath([])}
+                disabled={line.length === 0}
+                className={controlClass}
+                title="Back to the start"
+              >
+                <ChevronsLeft size={16} />
+              </button>
+              <button
+                onClick={() => setPath(line.slice(0, -1))}
+                disabled={line.length === 0}
+                className={controlClass}
+                title="Take back one move"
+              >
+                <ChevronLeft size={16} />
+              </button>
+            </div>
+          </div>
+
+          <div className="flex-1 space-y-4 min-w-0">
+            <div className="text-sm font-mono flex flex-wrap gap-x-2">
+              {line.length === 0 && <span className="text-gray-500 font-sans">Starting position</span>}
+              {line.map((step, i) => (
+                <button
+                  key={i}
+                  onClick={() => setPath(line.slice(0, i + 1))}
+                  className="text-blue-600 hover:underline"
+                >
+                  {i % 2 === 0 ? moveLabel(i + 1, step.san) : step.san}
+                </button>
+              ))}
+            </div>
+
+            <div className="text-sm text-gray-700">
+              Reached in <span className="font-bold">{node.games}</span> game{node.games !== 1 ? 's' : ''}{' '}
+              ({node.wins}/{node.draws}/{node.losses}), score{' '}
+              <span className={`font-bold ${scoreClass(nodeScore(node))}`}>{nodeScore(node).toFixed(0)}%</span>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-600 mb-1">
+                {ourMove ? 'Your moves' : 'Opponent replies'}
+              </h3>
+              {moves.length > 0 ? (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 text-xs">
+                      <th className="py-1">Move</th>
+                      <th className="py-1 text-right">Games</th>
+                      <th className="py-1 text-right">W/D/L</th>
+                      <th className="py-1 text-right">Score</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {moves.map(m => (
+                      <tr key={m.san} className="border-t hover:bg-gray-50">
+                        <td className="py-1">
+                          <button
+                            onClick={() => setPath([...line, { san: m.san, move: m.move, key: m.key }])}
+                            className="font-mono text-blue-600 hover:underline"
+                          >
+                            {moveLabel(line.length + 1, m.san)}
+                          </button>
+                        </td>
+                        <td className="py-1 text-right">{m.games}</td>
+                        <td className="py-1 text-right text-gray-600">
+                          {m.wins}/{m.draws}/{m.losses}
+                        </td>
+                        <td className={`py-1 text-right font-bold ${scoreClass(nodeScore(m))}`}>
+                          {nodeScore(m).toFixed(0)}%
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  {line.length >= REPERTOIRE_DEPTH
+                    ? `The tree stops after ${REPERTOIRE_DEPTH / 2} moves.`
+                    : 'Your games leave the tree here.'}
+                </p>
+              )}
+            </div>
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-600 mb-1">
+                Mistakes logged here ({node.mistakes.length})
+              </h3>
+              {node.mistakes.length === 0 ? (
+                <p className="text-sm text-gray-500">None.</p>
+              ) : (
+                <ul className="space-y-1 text-sm">
+                  {node.mistakes.map(({ gameId, mistake }) => (
+                    <li key={`${gameId}-${mistake.id}`} className="p-2 bg-gray-50 rounded">
+                      <span className="font-medium capitalize">{mistakeLabel(mistake)}</span>
+                      {mistake.san && (
+                        <span className="font-mono ml-2">{moveLabel(mistake.ply, mistake.san)}</span>
+                      )}
+                      {mistake.betterMove && (
+                        <span className="text-gray-600 ml-2">
+                          better <span className="font-mono">{mistake.betterMove}</span>
+                        </span>
+                      )}
+                      <a
+                        href={routeHash('game', { gameId })}
+                        className="text-blue-600 hover:underline ml-2 text-xs"
+                      >
+                        View game
+                      </a>
+                      {mistake.note && <p className="text-gray-600 mt-1">{mistake.note}</p>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RepertoireExplorer;
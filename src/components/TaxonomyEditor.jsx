@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import { Tags, Pencil, Plus } from 'lucide-react';
+import {
+  MISTAKE_TYPES,
+  groupedCategories,
+  categoryUsage,
+  planCategoryEdit,
+  planCategoryMerge
+} from '../lib/taxonomy.js';
+
+const FIELDS = [
+  { name: 'label', title: 'Name' },
+  { name: 'group', title: 'Group' },
+  { name: 'description', title: 'Description' },
+  { name: 'tip', title: 'Training tip ("Drill …")' }
+];
+
+const CategoryForm = ({ category, groups, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(category);
+  return (
+    <div className="p-3 border rounded bg-gray-50 space-y-2">
+      {FIELDS.map(({ name, title }) => (
+        <label key={name} className="block text-sm">
+          <span className="block text-gray-600 mb-1">{title}</span>
+          <input
+            value={draft[name] || ''}
+            onChange={e => setDraft({ ...draft, [name]: e.target.value })}
+            list={name === 'group' ? 'taxonomy-groups' : undefined}
+            className="w-full p-2 border rounded"
+          />
+        </label>
+      ))}
+      <datalist id="taxonomy-groups">
+        {groups.map(g => (
+          <option key={g} value={g} />
+        ))}
+      </datalist>
+      <div className="flex gap-2">
+        <button
+          onClick={() => onSave(draft)}
+          className="bg-blue-600 text-white px-4 py-1 rounded font-medium hover:bg-blue-700"
+        >
+          Save
+        </button>
+        <button onClick={onCancel} className="px-4 py-1 border rounded text-gray-700 hover:bg-gray-100">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Editor for the mistake taxonomy (lib/taxonomy.js). Edits, merges and
+ * deletes are handed to `onChange(plan, message)` as a
+ * { put, remove, games } plan; renames and merges carry the re-keyed games.
+ */
+const TaxonomyEditor = ({ taxonomy, games, onChange }) => {
+  const [type, setType] = useState('tactical');
+  // Id of the category being edited, or 'new'
+  const [editing, setEditing] = useState(null);
+  const [mergeTargets, setMergeTargets] = useState({});
+
+  const grouped = groupedCategories(taxonomy, type);
+  const categories = grouped.flatMap(([, list]) => list);
+  const groups = grouped.map(([group]) => group);
+
+  const save = async (original, draft) => {
+    const plan = planCategoryEdit(taxonomy, games, original, draft);
+    if (plan.error) {
+      alert(plan.error);
+      return;
+    }
+    const moved = plan.games.length;
+    const updated = moved ? ` and updated ${moved} game${moved !== 1 ? 's' : ''}` : '';
+    await onChange(plan, `Saved "${draft.label.trim()}"${updated}`);
+    setEditing(null);
+  };
+
+  const merge = async (source) => {
+    const target = categories.find(c => c.id === mergeTargets[source.id]);
+    if (!target) return;
+    const count = categoryUsage(games, source.type, source.key);
+    if (
+      !window.confirm(
+        `Merge "${source.label}" into "${target.label}"? ${count} mistake${count !== 1 ? 's' : ''} will be moved and "${source.label}" removed.`
+      )
+    ) {
+      return;
+    }
+    await onChange(planCategoryMerge(games, source, target), `Merged "${source.label}" into "${target.label}"`);
+  };
+
+  const remove = async (category) => {
+    if (!window.confirm(`Delete "${category.label}"?`)) return;
+    await onChange({ put: [], remove: [category.id], games: [] }, `Deleted "${category.label}"`);
+  };
+
+  const newCategory = {
+    id: null,
+    type,
+    key: '',
+    label: '',
+    group: '',
+    description: '',
+    tip: '',
+    order: Math.max(-1, ...categories.map(c => c.order)) + 1
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow max-w-3xl mx-auto">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-2">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <Tags size={24} /> Mistake Categories
+        </h2>
+        <div className="flex gap-2">
+          {MISTAKE_TYPES.map(t => (
+            <button
+              key={t}
+              onClick={() => {
+                setType(t);
+                setEditing(null);
+              }}
+              className={`px-3 py-1 rounded border text-sm font-medium capitalize ${
+                type === t ? 'bg-blue-600 text-white border-blue-600' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {t}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Renaming a category or merging it into another moves the mistakes already filed under it.
+      </p>
+
+      <div className="space-y-6">
+        {grouped.map(([group, list]) => (
+          <div key={group}>
+            <h3 className="text-sm font-medium text-gray-600 mb-2">{group}</h3>
+            <div className="space-y-2">
+              {list.map((category) => {
+                if (editing === category.id) {
+                  return (
+                    <CategoryForm
+                      key={category.id}
+                      category={category}
+                      groups={groups}
+                      onSave={draft => save(category, draft)}
+                      onCancel={() => setEditing(null)}
+                    />
+                  );
+                }
+                const used = categoryUsage(games, category.type, category.key);
+                const others = categories.filter(c => c.id !== category.id);
+                return (
+                  <div key={category.id} className="p-3 border rounded">
+                    <div className="flex justify-between items-start gap-2">
+                      <div>
+                        <span className="font-medium">{category.label}</span>
+                        <span className="ml-2 text-xs text-gray-500">
+                          {used} mistake{used !== 1 ? 's' : ''}
+                        </span>
+                        {category.description && (
+                          <p className="text-sm text-gray-600 mt-1">{category.description}</p>
+                        )}
+                        {category.tip && <p className="text-xs text-gray-500 mt-1">Drill {category.tip}</p>}
+                      </div>
+                      <div className="flex gap-2 shrink-0">
+                        <button
+                          onClick={() => setEditing(category.id)}
+                          className="text-blue-600 hover:text-blue-800 text-xs font-medium px-2 py-1 border rounded flex items-center gap-1"
+                        >
+                          <Pencil size={12} /> Edit
+                        </button>
+                        <button
+                          onClick={() => remove(category)}
+                          disabled={used > 0 || categories.length === 1}
+                          title={
+                            used > 0
+                              ? 'Merge it into another category first'
+                              : categories.length === 1
+                              ? "The last category can't go"
+                              : undefined
+                          }
+                          className="text-red-600 hover:text-red-800 text-xs font-medium px-2 py-1 border rounded disabled:opacity-40"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                    <div className="flex gap-2 items-center mt-2 text-xs">
+                      <select
+                        value={mergeTargets[category.id] || ''}
+                        onChange={e => setMergeTargets({ ...mergeTargets, [category.id]: e.target.value })}
+                        className="p-1 border rounded"
+                      >
+                        <option value="">Merge into…</option>
+                        {others.map(c => (
+                          <option key={c.id} value={c.id}>
+                            {c.label}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => merge(category)}
+                        disabled={!mergeTargets[category.id]}
+                        className="px-2 py-1 border rounded font-medium text-gray-700 hover:bg-gray-100 disabled:opacity-40"
+                      >
+                        Merge
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+
+        {editing === 'new' ? (
+          <CategoryForm
+            category={newCategory}
+            groups={groups}
+            onSave={draft => save(newCategory, draft)}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <button
+            onClick={() => setEditing('new')}
+            className="flex items-center gap-2 text-blue-600 hover:text-blue-800 font-medium"
+          >
+            <Plus size={18} /> Add {type} category
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaxonomyEditor;
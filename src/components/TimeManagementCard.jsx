@@ -0,0 +1,58 @@
+import React from 'react';
+import { OPENING_MOVES, TIME_TROUBLE_SHARE } from '../lib/timeUsage.js';
+
+const percent = value => (value === null ? '—' : `${value.toFixed(0)}%`);
+
+/**
+ * Dashboard card: opening pace, low-clock moves and results in time trouble
+ * per time control. `stats` comes from timeManagementStats (lib/timeUsage.js).
+ */
+const TimeManagementCard = ({ stats }) => {
+  const entries = Object.entries(stats);
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <h3 className="text-lg font-bold mb-1">Time Management</h3>
+      <p className="text-xs text-gray-500 mb-4">
+        From the [%clk] times in your PGNs. Time trouble means dropping under{' '}
+        {TIME_TROUBLE_SHARE * 100}% of the starting clock.
+      </p>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 text-xs">
+            <th className="py-1">Time control</th>
+            <th className="py-1 text-right">Games</th>
+            <th className="py-1 text-right">First {OPENING_MOVES} moves</th>
+            <th className="py-1 text-right">Low-clock moves</th>
+            <th className="py-1 text-right">In time trouble</th>
+            <th className="py-1 text-right">Score in trouble</th>
+            <th className="py-1 text-right">Score otherwise</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(([timeControl, s]) => (
+            <tr key={timeControl} className="border-t">
+              <td className="py-2 capitalize">{timeControl}</td>
+              <td className="py-2 text-right">{s.games}</td>
+              <td
+                className="py-2 text-right"
+                title={s.openingShare === null ? undefined : `${percent(s.openingShare)} of the clock`}
+              >
+                {s.openingAverage === null ? '—' : `${s.openingAverage.toFixed(1)}s/move`}
+              </td>
+              <td className="py-2 text-right">{percent(s.lowClockShare)}</td>
+              <td className="py-2 text-right">
+                {s.troubleGames} of {s.games}
+              </td>
+              <td className="py-2 text-right font-bold">{percent(s.troubleScore)}</td>
+              <td className="py-2 text-right">{percent(s.otherScore)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default TimeManagementCard;
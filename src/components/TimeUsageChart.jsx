@@ -0,0 +1,73 @@
+import React from 'react';
+import { moveTimes, gameTimeUsage, OPENING_MOVES, TIME_TROUBLE_SHARE } from '../lib/timeUsage.js';
+import { formatClock } from '../lib/clock.js';
+import { moveLabel } from '../lib/pgn.js';
+
+const WIDTH = 640;
+const HEIGHT = 160;
+const PAD = { top: 10, right: 10, bottom: 20, left: 44 };
+
+/**
+ * Time spent per move of one game as an SVG bar chart, our moves in blue and
+ * the opponent's in grey, from the PGN's [%clk] comments (lib/timeUsage.js).
+ * Renders nothing for games without clock readings.
+ */
+const TimeUsageChart = ({ game }) => {
+  const times = moveTimes(game.pgn, game);
+  const usage = gameTimeUsage(game);
+  if (!times || !usage) return null;
+
+  const side = game.color === 'black' ? 'b' : 'w';
+  const plies = times.moves.length;
+  const maxSpent = Math.max(1, ...times.moves.map(m => m.spent ?? 0));
+  const slot = (WIDTH - PAD.left - PAD.right) / plies;
+  const x = ply => PAD.left + (ply - 1) * slot;
+  const y = seconds => PAD.top + (1 - seconds / maxSpent) * (HEIGHT - PAD.top - PAD.bottom);
+
+  return (
+    <div className="border-t pt-4">
+      <h3 className="font-bold mb-2">Time per Move</h3>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" role="img" aria-label="Time spent per move">
+        {[0, maxSpent / 2, maxSpent].map(s => (
+          <g key={s}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(s)} y2={y(s)} stroke="#e5e7eb" />
+            <text x={PAD.left - 6} y={y(s) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+              {formatClock(s)}
+            </text>
+          </g>
+        ))}
+        {times.moves.map(m =>
+          m.spent === null ? null : (
+            <rect
+              key={m.ply}
+              x={x(m.ply) + slot * 0.1}
+              y={y(m.spent)}
+              width={Math.max(1, slot * 0.8)}
+              height={y(0) - y(m.spent)}
+              fill={m.color === side ? '#2563eb' : '#9ca3af'}
+            >
+              <title>{`${moveLabel(m.ply, m.san)}: ${formatClock(m.spent)} spent, ${formatClock(m.clock)} left`}</title>
+            </rect>
+          )
+        )}
+        <text x={PAD.left} y={HEIGHT - 4} fontSize="11" fill="#6b7280">
+          Move 1
+        </text>
+        <text x={WIDTH - PAD.right} y={HEIGHT - 4} textAnchor="end" fontSize="11" fill="#6b7280">
+          Move {Math.ceil(plies / 2)}
+        </text>
+      </svg>
+      <p className="text-xs text-gray-500 mt-1">
+        {formatClock(times.base)}
+        {times.increment ? ` + ${times.increment}s` : ''} clock.
+        {usage.openingAverage !== null &&
+          ` First ${OPENING_MOVES} moves: ${usage.openingAverage.toFixed(1)}s per move.`}{' '}
+        {usage.lowClockMoves > 0
+          ? `${usage.lowClockMoves} of your moves left you under ${TIME_TROUBLE_SHARE * 100}% of the clock.`
+          : `You stayed above ${TIME_TROUBLE_SHARE * 100}% of the clock.`}
+      </p>
+    </div>
+  );
+};
+
+export default TimeUsageChart;
@@ -0,0 +1,42 @@
+import React, { useEffect } from 'react';
+
+/**
+ * Bottom-of-screen notice. `toast` is { message, undoable, error }; when undoable an
+ * "Undo" button calls `onUndo`, which is expected to replace or clear the toast.
+ * `error` shows it in red.
+ * Dismisses itself after `duration` ms; a new `toast` object restarts the timer.
+ */
+const Toast = ({ toast, onUndo, onDismiss, duration = 8000 }) => {
+  useEffect(() => {
+    if (!toast) return undefined;
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [toast, onDismiss, duration]);
+
+  if (!toast) return null;
+
+  return (
+    <div
+      className={`fixed bottom-4 left-1/2 -translate-x-1/2 ${toast.error ? 'bg-red-700' : 'bg-gray-900'} text-white text-sm rounded-lg shadow-lg px-4 py-3 flex items-center gap-4 z-50`}
+    >
+      <span>{toast.message}</span>
+      {toast.undoable && (
+        <button
+          onClick={onUndo}
+          className="text-yellow-300 hover:text-yellow-100 font-medium px-2 py-0 bg-transparent border-0"
+        >
+          Undo
+        </button>
+      )}
+      <button
+        onClick={onDismiss}
+        className="text-gray-400 hover:text-white px-1 py-0 bg-transparent border-0"
+        aria-label="Dismiss"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default Toast;
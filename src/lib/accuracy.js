@@ -0,0 +1,146 @@
+/**
+ * Accuracy and average centipawn loss (ACPL) from stored engine analysis
+ * - Only the player's own moves count; games without `analysis` are skipped
+ * - Scores are the capped ones stored by lib/analysis.js
+ * - Accuracy per move follows the win-probability curve popularised by
+ *   Lichess: losing 10% winning chances costs far more in a level position
+ *   than in one that was already decided
+ * - Measured mistakes are moves classified as mistake or blunder
+ */
+
+import { inferGamePhase } from './phase.js';
+import { timeControlKey } from './timeControl.js';
+
+// Winning chances (0-100) for the side with `cp` centipawns
+export const winPercent = (cp) => 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+
+export const moveAccuracy = (cpBefore, cpAfter) => {
+  const drop = winPercent(cpBefore) - winPercent(cpAfter);
+  const accuracy = 103.1668 * Math.exp(-0.04354 * Math.max(0, drop)) - 3.1669;
+  return Math.max(0, Math.min(100, accuracy));
+};
+
+const MEASURED_CLASSES = ['mistake', 'blunder'];
+
+/**
+ * The player's analysed moves in `game`:
+ * [{ ply, phase, cpLoss, accuracy, classification }], or [] without analysis.
+ */
+export const playerMoves = (game) => {
+  const analysis = game.analysis;
+  if (!analysis || !Array.isArray(analysis.moves)) return [];
+  const side = game.color === 'black' ? 'b' : 'w';
+  let previous = analysis.startEval ?? 0;
+  const result = [];
+  analysis.moves.forEach((m) => {
+    // Scores are stored from White's point of view; flip them for Black
+    const sign = m.color === 'w' ? 1 : -1;
+    const before = previous * sign;
+    const after = m.eval * sign;
+    if (m.color === side) {
+      result.push({
+        ply: m.ply,
+        phase: m.phase || inferGamePhase(m.fen).phase,
+        cpLoss: m.cpLoss,
+        accuracy: moveAccuracy(before, after),
+        classification: m.classification
+      });
+    }
+    previous = m.eval;
+  });
+  return result;
+};
+
+// { moves, acpl, accuracy, measuredMistakes } for a list of player moves, or null if empty
+export const summariseMoves = (moves) => {
+  if (moves.length === 0) return null;
+  const sum = key => moves.reduce((s, m) => s + m[key], 0);
+  return {
+    moves: moves.length,
+    acpl: sum('cpLoss') / moves.length,
+    accuracy: sum('accuracy') / moves.length,
+    measuredMistakes: moves.filter(m => MEASURED_CLASSES.includes(m.classification)).length
+  };
+};
+
+const groupSummaries = (entries) => {
+  const groups = {};
+  entries.forEach(({ key, moves }) => {
+    groups[key] = (groups[key] || []).concat(moves);
+  });
+  return Object.fromEntries(
+    Object.entries(groups).map(([key, moves]) => [key, summariseMoves(moves)])
+  );
+};
+
+/**
+ * Accuracy and ACPL over all analysed games:
+ * { analysedGames, overall, byGame, byPhase, byColor, byTimeControl }.
+ * `byGame` is oldest first and also carries the self-reported mistake count,
+ * so it doubles as the trend series. `grouping` is passed to timeControlKey.
+ */
+export const computeAccuracyStats = (games, grouping = 'category') => {
+  const analysed = games
+    .map(game => ({ game, moves: playerMoves(game) }))
+    .filter(({ moves }) => moves.length > 0)
+    .sort((a, b) => a.game.date.localeCompare(b.game.date) || a.game.id - b.game.id);
+
+  const allMoves = analysed.flatMap(({ moves }) => moves);
+
+  return {
+    analysedGames: analysed.length,
+    overall: summariseMoves(allMoves),
+    byGame: analysed.map(({ game, moves }) => ({
+      id: game.id,
+      date: game.date,
+      opening: game.opening,
+      color: game.color,
+      timeControl: game.timeControl,
+      reportedMistakes: (game.mistakes || []).length,
+      ...summariseMoves(moves)
+    })),
+    byPhase: groupSummaries(allMoves.map(m => ({ key: m.phase, moves: [m] }))),
+    byColor: groupSummaries(analysed.map(({ game, moves }) => ({ key: game.color, moves }))),
+    byTimeControl: groupSummaries(
+      analysed.map(({ game, moves }) => ({ key: timeControlKey(game, grouping), moves }))
+    )
+  };
+};
+
+/**
+ * Recent vs previous `windowSize` analysed games: { lastAccuracy, prevAccuracy,
+ * lastAcpl, prevAcpl }, or null until there are enough games for both windows.
+ */
+export const computeAccuracyTrend = (byGame, windowSize = 10) => {
+  if (byGame.length < windowSize * 2) return null;
+  const mean = (rows, key) => rows.reduce((s, r) => s + r[key], 0) / rows.length;
+  const last = byGame.slice(-windowSize);
+  const prev = byGame.slice(-2 * windowSize, -windowSize);
+  return {
+    lastAccuracy: mean(last, 'accuracy'),
+    prevAccuracy: mean(prev, 'accuracy'),
+    lastAcpl: mean(last, 'acpl'),
+    prevAcpl: mean(prev, 'acpl')
+  };
+};
+
+/**
+ * Compare logged mistakes with what the engine measured in analysed games.
+ * Returns { reported, measured, direction, games } where direction is
+ * 'under' (logging far fewer than measured), 'over' or null, and `games`
+ * lists the analysed games with the widest gap in that direction.
+ */
+export const compareReportedMistakes = (byGame) => {
+  const reported = byGame.reduce((s, g) => s + g.reportedMistakes, 0);
+  const measured = byGame.reduce((s, g) => s + g.measuredMistakes, 0);
+  // "Sharply": at least double, and by more than a couple of mistakes
+  let direction = null;
+  if (measured >= 2 * reported && measured - reported >= 3) direction = 'under';
+  else if (reported >= 2 * measured && reported - measured >= 3) direction = 'over';
+
+  const gap = g => (direction === 'over' ? g.reportedMistakes - g.measuredMistakes : g.measuredMistakes - g.reportedMistakes);
+  const games = direction
+    ? byGame.filter(g => gap(g) >= 2).sort((a, b) => gap(b) - gap(a)).slice(0, 3)
+    : [];
+  return { reported, measured, direction, games };
+};
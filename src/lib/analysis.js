@@ -0,0 +1,144 @@
+import { replayPgn, legalMoves, moveToSan, squareName, isCheckmate, isStalemate } from './chess.js';
+import { inferGamePhase } from './phase.js';
+
+/**
+ * Engine analysis of a stored game
+ * - Every mainline position gets a score; UCI reports it for the side to move,
+ *   stored moves carry it from White's point of view
+ * - Centipawn loss is the drop in the mover's score, with scores capped at
+ *   ±EVAL_CAP so that a lost position can't get much more lost
+ * - Moves are classified by centipawn loss, see CLASSIFICATION_THRESHOLDS
+ */
+
+export const EVAL_CAP = 1000;
+
+// Smallest centipawn loss for each class, worst first
+export const CLASSIFICATION_THRESHOLDS = [
+  { classification: 'blunder', cpLoss: 300 },
+  { classification: 'mistake', cpLoss: 100 },
+  { classification: 'inaccuracy', cpLoss: 50 }
+];
+
+export const classifyMove = (cpLoss) =>
+  CLASSIFICATION_THRESHOLDS.find(t => cpLoss >= t.cpLoss)?.classification || null;
+
+// A UCI { cp, mate } score as capped centipawns; `mate 0` means already mated
+export const scoreToCp = ({ cp, mate }) => {
+  if (mate !== null && mate !== undefined) return mate > 0 ? EVAL_CAP : -EVAL_CAP;
+  return Math.max(-EVAL_CAP, Math.min(EVAL_CAP, cp || 0));
+};
+
+export const moveToUci = (move) =>
+  squareName(move.from) + squareName(move.to) + (move.promotion || '').toLowerCase();
+
+// "g1f3" -> "Nf3" in `pos`; anything that isn't a legal move comes back as ''
+export const uciToSan = (pos, uci) => {
+  const moves = legalMoves(pos);
+  const move = moves.find(m => moveToUci(m) === uci);
+  return move ? moveToSan(pos, move, moves) : '';
+};
+
+/**
+ * Positions to evaluate, start position first: [{ fen, score }] where `score`
+ * is already known ({ cp, mate } for the side to move) when the game is over
+ * on the board and null otherwise. Throws if the PGN can't be replayed.
+ */
+export const analysisPositions = (pgn) => {
+  const { plies, error } = replayPgn(pgn);
+  if (error) throw new Error(error);
+  return plies.map(({ fen, pos }) => {
+    let score = null;
+    if (isCheckmate(pos)) score = { cp: null, mate: 0 };
+    else if (isStalemate(pos)) score = { cp: 0, mate: null };
+    return { fen, score };
+  });
+};
+
+/**
+ * Turn one engine result per position into the analysis stored on a game.
+ * `results[i]` is { cp, mate, bestMove } for position i as UCI reports it
+ * (side to move's point of view, best move in UCI notation).
+ * Each move gets { ply, san, color, fen (before the move), phase, eval, mate,
+ * bestMove (SAN), cpLoss, classification }; `startEval` is the starting
+ * position's capped score.
+ */
+export const buildAnalysis = (pgn, results, { engine, depth }) => {
+  const { plies, error } = replayPgn(pgn);
+  if (error) throw new Error(error);
+
+  const white = results.map((r, i) => {
+    const sign = plies[i].pos.turn === 'w' ? 1 : -1;
+    const capped = sign * scoreToCp(r);
+    // Keep mates as mates; `mate 0` is stored as the winner's ±1
+    const mate =
+      r.mate === null || r.mate === undefined ? null : r.mate === 0 ? -sign * 1 : sign * r.mate;
+    return { capped, mate };
+  });
+
+  const moves = plies.slice(1).map((p, i) => {
+    const before = plies[i];
+    const color = before.pos.turn;
+    const drop = color === 'w'
+      ? white[i].capped - white[i + 1].capped
+      : white[i + 1].capped - white[i].capped;
+    const cpLoss = Math.max(0, Math.round(drop));
+    const best = results[i].bestMove;
+    // Playing the engine's own choice is never an error, whatever a shallow search says
+    const playedBest = p.move && best === moveToUci(p.move);
+    return {
+      ply: p.ply,
+      san: p.san,
+      color,
+      fen: before.fen,
+      phase: inferGamePhase(before.fen).phase,
+      eval: white[i + 1].capped,
+      mate: white[i + 1].mate,
+      bestMove: best ? uciToSan(before.pos, best) : '',
+      cpLoss,
+      classification: playedBest ? null : classifyMove(cpLoss)
+    };
+  });
+
+  return {
+    engine,
+    depth,
+    analysedAt: new Date().toISOString(),
+    startEval: white[0].capped,
+    moves
+  };
+};
+
+/**
+ * Analysed moves by the player (`color` 'white' | 'black') worth logging, as
+ * mistake-form fields waiting to be categorised. Plies in `loggedPlies` already
+ * have a mistake and are left out.
+ */
+export const mistakeSuggestions = (analysis, color, loggedPlies = []) => {
+  if (!analysis) return [];
+  const side = color === 'black' ? 'b' : 'w';
+  return analysis.moves
+    .filter(m => m.color === side && m.classification && !loggedPlies.includes(m.ply))
+    .map(m => ({
+      ply: m.ply,
+      classification: m.classification,
+      cpLoss: m.cpLoss,
+      fields: {
+        ply: m.ply,
+        san: m.san,
+        fen: m.fen,
+        betterMove: m.bestMove,
+        severity: m.classification,
+        gamePhase: m.phase || inferGamePhase(m.fen).phase,
+        phaseSource: 'inferred',
+        note: `Engine: ${m.classification}, ${m.cpLoss} cp lost${
+          m.bestMove ? `; best was ${m.bestMove}` : ''
+        }`
+      }
+    }));
+};
+
+// "+1.35" / "-0.40" / "#3" / "#-2", from White's point of view
+export const formatEval = ({ eval: cp, mate }) => {
+  if (mate !== null && mate !== undefined) return `#${mate}`;
+  return `${cp > 0 ? '+' : ''}${(cp / 100).toFixed(2)}`;
+};
@@ -0,0 +1,149 @@
+/**
+ * JSON backups of the game store, the puzzle trainer's reviews and the
+ * mistake categories
+ * - Versioned envelope: format name, schema version, export timestamp
+ * - Schema 2 added `reviews` and schema 3 `categories`; older backups leave
+ *   the stores they lack alone
+ * - Validation reports every problem instead of stopping at the first
+ * - Restore planning splits backup games into new / unchanged / conflicting by id
+ */
+
+export const BACKUP_FORMAT = 'chesstracker-backup';
+export const BACKUP_SCHEMA_VERSION = 3;
+
+// `reviews` is the list of review records (lib/training.js), `categories`
+// the mistake taxonomy (lib/taxonomy.js)
+export const createBackup = (games, { reviews = [], categories = [] } = {}) =>
+  JSON.stringify(
+    {
+      format: BACKUP_FORMAT,
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      gameCount: games.length,
+      games,
+      reviews,
+      categories
+    },
+    null,
+    2
+  );
+
+const REQUIRED_GAME_FIELDS = ['id', 'date', 'color', 'result'];
+const REQUIRED_CATEGORY_FIELDS = ['id', 'type', 'key', 'label'];
+
+/**
+ * Parse and validate backup file text.
+ * Returns { backup, errors }; `backup` is null unless there are no errors.
+ */
+export const validateBackup = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { backup: null, errors: [`Not valid JSON: ${err.message}`] };
+  }
+
+  const errors = [];
+  if (!data || data.format !== BACKUP_FORMAT) {
+    return { backup: null, errors: ['This file is not a Chess Tracker backup.'] };
+  }
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+    errors.push('Missing or invalid schema version.');
+  } else if (data.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    errors.push(
+      `Backup schema version ${data.schemaVersion} is newer than this app supports (${BACKUP_SCHEMA_VERSION}). Update the app first.`
+    );
+  }
+  if (!Array.isArray(data.games)) {
+    errors.push('Backup has no games list.');
+    return { backup: null, errors };
+  }
+
+  const seen = new Set();
+  data.games.forEach((game, i) => {
+    const label = `Game ${i + 1}`;
+    if (!game || typeof game !== 'object') {
+      errors.push(`${label} is not an object.`);
+      return;
+    }
+    const missing = REQUIRED_GAME_FIELDS.filter(f => game[f] === undefined || game[f] === '');
+    if (missing.length) errors.push(`${label} is missing ${missing.join(', ')}.`);
+    if (game.mistakes !== undefined && !Array.isArray(game.mistakes)) {
+      errors.push(`${label} has an invalid mistakes list.`);
+    }
+    if (seen.has(game.id)) errors.push(`${label} repeats id ${game.id}.`);
+    seen.add(game.id);
+  });
+
+  if (data.reviews !== undefined) {
+    if (!Array.isArray(data.reviews)) {
+      errors.push('Backup has an invalid puzzle reviews list.');
+    } else if (data.reviews.some(r => !r || typeof r !== 'object' || typeof r.id !== 'string')) {
+      errors.push('Backup has a puzzle review without an id.');
+    }
+  }
+
+  if (data.categories !== undefined) {
+    if (!Array.isArray(data.categories)) {
+      errors.push('Backup has an invalid mistake categories list.');
+    } else if (
+      data.categories.some(c => !c || typeof c !== 'object' || REQUIRED_CATEGORY_FIELDS.some(f => typeof c[f] !== 'string'))
+    ) {
+      errors.push('Backup has a mistake category without an id, type, key or label.');
+    }
+  }
+
+  return { backup: errors.length ? null : data, errors };
+};
+
+// Key-order independent JSON, so re-saved records still compare equal
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map(k => `${JSON.stringify(k)}:${canonical(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Compare backup games with the stored ones by id.
+ * Returns { added, unchanged, conflicts } where conflicts are
+ * { id, local, incoming } pairs whose contents differ.
+ */
+export const planRestore = (backupGames, currentGames) => {
+  const byId = new Map(currentGames.map(g => [g.id, g]));
+  const added = [];
+  const unchanged = [];
+  const conflicts = [];
+
+  backupGames.forEach((incoming) => {
+    const local = byId.get(incoming.id);
+    if (!local) added.push(incoming);
+    else if (canonical(local) === canonical(incoming)) unchanged.push(incoming);
+    else conflicts.push({ id: incoming.id, local, incoming });
+  });
+
+  return { added, unchanged, conflicts };
+};
+
+/**
+ * Backup puzzle reviews worth keeping when merging: the ones we don't have
+ * and the ones reviewed later than ours. `currentReviews` maps id to review.
+ */
+export const planReviewRestore = (backupReviews = [], currentReviews = {}) =>
+  backupReviews.filter((incoming) => {
+    const local = currentReviews[incoming.id];
+    return !local || (incoming.lastReviewed || '') > (local.lastReviewed || '');
+  });
+
+/**
+ * Backup categories to add when merging: the ones we don't have. Our own
+ * edits win for the rest, so a merge never renames a category under us.
+ */
+export const planCategoryRestore = (backupCategories = [], currentCategories = []) => {
+  const ids = new Set(currentCategories.map(c => c.id));
+  return backupCategories.filter(c => !ids.has(c.id));
+};
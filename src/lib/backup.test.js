@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createBackup,
+  validateBackup,
+  planReviewRestore,
+  planCategoryRestore,
+  BACKUP_SCHEMA_VERSION
+} from './backup.js';
+
+const game = { id: 1, date: '2024-03-15', color: 'white', result: 'win', mistakes: [] };
+const review = (id, lastReviewed) => ({ id, lastReviewed, attempts: 1, successes: 1 });
+
+describe('puzzle reviews in backups', () => {
+  it('round-trips the reviews', () => {
+    const { backup, errors } = validateBackup(createBackup([game], { reviews: [review('1:2', '2024-03-16')] }));
+    expect(errors).toEqual([]);
+    expect(backup.schemaVersion).toBe(BACKUP_SCHEMA_VERSION);
+    expect(backup.reviews).toEqual([review('1:2', '2024-03-16')]);
+  });
+
+  it('accepts schema 1 backups without reviews', () => {
+    const text = JSON.stringify({ format: 'chesstracker-backup', schemaVersion: 1, games: [game] });
+    const { backup, errors } = validateBackup(text);
+    expect(errors).toEqual([]);
+    expect(backup.reviews).toBeUndefined();
+  });
+
+  it('rejects reviews without an id', () => {
+    const text = JSON.stringify({ format: 'chesstracker-backup', schemaVersion: 2, games: [game], reviews: [{}] });
+    expect(validateBackup(text).errors).toEqual(['Backup has a puzzle review without an id.']);
+  });
+
+  it('merges reviews we lack or reviewed less recently', () => {
+    const current = { a: review('a', '2024-03-10'), b: review('b', '2024-03-20') };
+    const incoming = [review('a', '2024-03-12'), review('b', '2024-03-18'), review('c', null)];
+    expect(planReviewRestore(incoming, current).map(r => r.id)).toEqual(['a', 'c']);
+  });
+});
+
+describe('mistake categories in backups', () => {
+  const category = (key, label) => ({ id: `tactical:${key}`, type: 'tactical', key, label });
+
+  it('round-trips the categories', () => {
+    const { backup, errors } = validateBackup(createBackup([game], { categories: [category('fork', 'Fork')] }));
+    expect(errors).toEqual([]);
+    expect(backup.categories).toEqual([category('fork', 'Fork')]);
+  });
+
+  it('rejects categories without a key', () => {
+    const text = JSON.stringify({
+      format: 'chesstracker-backup',
+      schemaVersion: 3,
+      games: [game],
+      categories: [{ id: 'tactical:fork', type: 'tactical', label: 'Fork' }]
+    });
+    expect(validateBackup(text).errors).toEqual([
+      'Backup has a mistake category without an id, type, key or label.'
+    ]);
+  });
+
+  it('merges only the categories we lack', () => {
+    const incoming = [category('fork', 'Forks'), category('corridorMate', 'Corridor Mate')];
+    expect(planCategoryRestore(incoming, [category('fork', 'Fork')])).toEqual([incoming[1]]);
+  });
+});
@@ -0,0 +1,390 @@
+/**
+ * Minimal legal-move chess engine
+ * - 64-square board, index 0 = a8 ... 63 = h1 (FEN order)
+ * - Pieces are FEN letters: uppercase White, lowercase Black
+ * - Positions are plain objects and never mutated; applyMove returns a new one
+ * - Handles castling, en passant, promotion, SAN in and out, check/mate/stalemate
+ */
+
+import { parsePgn } from './pgn.js';
+
+export const INITIAL_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const FILES = 'abcdefgh';
+
+const KNIGHT_STEPS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const BISHOP_DIRS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+const ROOK_DIRS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const ROYAL_DIRS = [...BISHOP_DIRS, ...ROOK_DIRS];
+
+// Castling: right letter -> king/rook squares and the squares that must be empty / safe
+const CASTLES = {
+  K: { king: 60, kingTo: 62, rook: 63, rookTo: 61, empty: [61, 62], safe: [60, 61, 62], san: 'O-O' },
+  Q: { king: 60, kingTo: 58, rook: 56, rookTo: 59, empty: [57, 58, 59], safe: [60, 59, 58], san: 'O-O-O' },
+  k: { king: 4, kingTo: 6, rook: 7, rookTo: 5, empty: [5, 6], safe: [4, 5, 6], san: 'O-O' },
+  q: { king: 4, kingTo: 2, rook: 0, rookTo: 3, empty: [1, 2, 3], safe: [4, 3, 2], san: 'O-O-O' }
+};
+
+export const squareName = (sq) => `${FILES[sq % 8]}${8 - Math.floor(sq / 8)}`;
+
+export const squareIndex = (name) => {
+  const file = FILES.indexOf(name[0]);
+  const rank = Number(name[1]);
+  if (file < 0 || !(rank >= 1 && rank <= 8)) return -1;
+  return (8 - rank) * 8 + file;
+};
+
+export const colorOf = (piece) => (piece === piece.toUpperCase() ? 'w' : 'b');
+const opposite = (color) => (color === 'w' ? 'b' : 'w');
+const onBoard = (r, f) => r >= 0 && r < 8 && f >= 0 && f < 8;
+
+/* ----------------------------- FEN ----------------------------- */
+
+export const parseFen = (fen) => {
+  const [placement, turn = 'w', castling = '-', ep = '-', halfmove = '0', fullmove = '1'] =
+    (fen || '').trim().split(/\s+/);
+  const rows = (placement || '').split('/');
+  if (rows.length !== 8) throw new Error(`Invalid FEN "${fen}": expected 8 ranks`);
+
+  const board = [];
+  rows.forEach((row) => {
+    for (const ch of row) {
+      if (/[1-8]/.test(ch)) board.push(...Array(Number(ch)).fill(null));
+      else if (/[pnbrqkPNBRQK]/.test(ch)) board.push(ch);
+      else throw new Error(`Invalid FEN "${fen}": unexpected "${ch}"`);
+    }
+  });
+  if (board.length !== 64) throw new Error(`Invalid FEN "${fen}": wrong number of squares`);
+  if (turn !== 'w' && turn !== 'b') throw new Error(`Invalid FEN "${fen}": bad side to move`);
+
+  return {
+    board,
+    turn,
+    castling: castling === '-' ? '' : castling,
+    epSquare: ep === '-' ? null : squareIndex(ep),
+    halfmove: parseInt(halfmove, 10) || 0,
+    fullmove: parseInt(fullmove, 10) || 1
+  };
+};
+
+export const toFen = (pos) => {
+  const rows = [];
+  for (let r = 0; r < 8; r++) {
+    let row = '';
+    let empty = 0;
+    for (let f = 0; f < 8; f++) {
+      const piece = pos.board[r * 8 + f];
+      if (!piece) {
+        empty++;
+        continue;
+      }
+      if (empty) row += empty;
+      empty = 0;
+      row += piece;
+    }
+    if (empty) row += empty;
+    rows.push(row);
+  }
+  return [
+    rows.join('/'),
+    pos.turn,
+    pos.castling || '-',
+    pos.epSquare === null ? '-' : squareName(pos.epSquare),
+    pos.halfmove,
+    pos.fullmove
+  ].join(' ');
+};
+
+export const initialPosition = () => parseFen(INITIAL_FEN);
+
+/* ----------------------------- ATTACKS ----------------------------- */
+
+export const isSquareAttacked = (board, sq, byColor) => {
+  const r = Math.floor(sq / 8);
+  const f = sq % 8;
+  const own = (p) => p && colorOf(p) === byColor;
+  const is = (p, type) => own(p) && p.toLowerCase() === type;
+
+  // Pawns attack diagonally forward, so look one rank "behind" the square
+  const pawnRank = byColor === 'w' ? r + 1 : r - 1;
+  for (const df of [-1, 1]) {
+    if (onBoard(pawnRank, f + df) && is(board[pawnRank * 8 + f + df], 'p')) return true;
+  }
+  for (const [dr, df] of KNIGHT_STEPS) {
+    if (onBoard(r + dr, f + df) && is(board[(r + dr) * 8 + f + df], 'n')) return true;
+  }
+  for (const [dr, df] of ROYAL_DIRS) {
+    if (onBoard(r + dr, f + df) && is(board[(r + dr) * 8 + f + df], 'k')) return true;
+  }
+  const slides = (dirs, types) =>
+    dirs.some(([dr, df]) => {
+      let rr = r + dr;
+      let ff = f + df;
+      while (onBoard(rr, ff)) {
+        const p = board[rr * 8 + ff];
+        if (p) return own(p) && types.includes(p.toLowerCase());
+        rr += dr;
+        ff += df;
+      }
+      return false;
+    });
+  return slides(BISHOP_DIRS, ['b', 'q']) || slides(ROOK_DIRS, ['r', 'q']);
+};
+
+const kingSquare = (board, color) => board.indexOf(color === 'w' ? 'K' : 'k');
+
+export const isCheck = (pos) => {
+  const king = kingSquare(pos.board, pos.turn);
+  return king >= 0 && isSquareAttacked(pos.board, king, opposite(pos.turn));
+};
+
+/* ----------------------------- MOVE GENERATION ----------------------------- */
+
+const pseudoLegalMoves = (pos) => {
+  const { board, turn } = pos;
+  const moves = [];
+  const add = (from, to, extra = {}) =>
+    moves.push({ from, to, piece: board[from], captured: board[to] || null, ...extra });
+
+  for (let from = 0; from < 64; from++) {
+    const piece = board[from];
+    if (!piece || colorOf(piece) !== turn) continue;
+    const r = Math.floor(from / 8);
+    const f = from % 8;
+    const type = piece.toLowerCase();
+
+    if (type === 'p') {
+      const dir = turn === 'w' ? -1 : 1;
+      const startRank = turn === 'w' ? 6 : 1;
+      const lastRank = turn === 'w' ? 0 : 7;
+      const pushPawn = (to, extra = {}) => {
+        if (Math.floor(to / 8) === lastRank) {
+          ['q', 'r', 'b', 'n'].forEach(p =>
+            add(from, to, { ...extra, promotion: turn === 'w' ? p.toUpperCase() : p })
+          );
+        } else {
+          add(from, to, extra);
+        }
+      };
+
+      const one = (r + dir) * 8 + f;
+      if (onBoard(r + dir, f) && !board[one]) {
+        pushPawn(one);
+        const two = (r + 2 * dir) * 8 + f;
+        if (r === startRank && !board[two]) add(from, two, { doublePush: true });
+      }
+      for (const df of [-1, 1]) {
+        if (!onBoard(r + dir, f + df)) continue;
+        const to = (r + dir) * 8 + f + df;
+        if (board[to] && colorOf(board[to]) !== turn) pushPawn(to);
+        else if (to === pos.epSquare) {
+          add(from, to, { enPassant: true, captured: turn === 'w' ? 'p' : 'P' });
+        }
+      }
+      continue;
+    }
+
+    const steps = {
+      n: [KNIGHT_STEPS, false],
+      b: [BISHOP_DIRS, true],
+      r: [ROOK_DIRS, true],
+      q: [ROYAL_DIRS, true],
+      k: [ROYAL_DIRS, false]
+    }[type];
+    const [dirs, sliding] = steps;
+    for (const [dr, df] of dirs) {
+      let rr = r + dr;
+      let ff = f + df;
+      while (onBoard(rr, ff)) {
+        const target = board[rr * 8 + ff];
+        if (target && colorOf(target) === turn) break;
+        add(from, rr * 8 + ff);
+        if (target || !sliding) break;
+        rr += dr;
+        ff += df;
+      }
+    }
+
+    if (type === 'k') {
+      const rights = turn === 'w' ? ['K', 'Q'] : ['k', 'q'];
+      rights.forEach((right) => {
+        const c = CASTLES[right];
+        if (!pos.castling.includes(right) || from !== c.king) return;
+        if (board[c.rook] !== (turn === 'w' ? 'R' : 'r')) return;
+        if (c.empty.some(sq => board[sq])) return;
+        if (c.safe.some(sq => isSquareAttacked(board, sq, opposite(turn)))) return;
+        add(from, c.kingTo, { castle: right });
+      });
+    }
+  }
+  return moves;
+};
+
+const placeMove = (board, move) => {
+  const next = board.slice();
+  next[move.to] = move.promotion || move.piece;
+  next[move.from] = null;
+  if (move.enPassant) {
+    next[move.to + (colorOf(move.piece) === 'w' ? 8 : -8)] = null;
+  }
+  if (move.castle) {
+    const c = CASTLES[move.castle];
+    next[c.rookTo] = next[c.rook];
+    next[c.rook] = null;
+  }
+  return next;
+};
+
+export const legalMoves = (pos) =>
+  pseudoLegalMoves(pos).filter((move) => {
+    const board = placeMove(pos.board, move);
+    const king = kingSquare(board, pos.turn);
+    return king >= 0 && !isSquareAttacked(board, king, opposite(pos.turn));
+  });
+
+export const applyMove = (pos, move) => {
+  const board = placeMove(pos.board, move);
+
+  let castling = pos.castling;
+  const type = move.piece.toLowerCase();
+  if (type === 'k') {
+    castling = castling.replace(pos.turn === 'w' ? /[KQ]/g : /[kq]/g, '');
+  }
+  // Moving a rook off, or capturing on, a corner square kills that right
+  Object.entries(CASTLES).forEach(([right, c]) => {
+    if (move.from === c.rook || move.to === c.rook) castling = castling.replace(right, '');
+  });
+
+  return {
+    board,
+    turn: opposite(pos.turn),
+    castling,
+    epSquare: move.doublePush ? (move.from + move.to) / 2 : null,
+    halfmove: type === 'p' || move.captured ? 0 : pos.halfmove + 1,
+    fullmove: pos.turn === 'b' ? pos.fullmove + 1 : pos.fullmove
+  };
+};
+
+// "--" in PGN: pass the move to the other side
+export const applyNullMove = (pos) => ({
+  ...pos,
+  turn: opposite(pos.turn),
+  epSquare: null,
+  halfmove: pos.halfmove + 1,
+  fullmove: pos.turn === 'b' ? pos.fullmove + 1 : pos.fullmove
+});
+
+export const isCheckmate = (pos) => isCheck(pos) && legalMoves(pos).length === 0;
+export const isStalemate = (pos) => !isCheck(pos) && legalMoves(pos).length === 0;
+
+/* ----------------------------- SAN ----------------------------- */
+
+// SAN without the check/mate suffix
+const baseSan = (pos, move, moves) => {
+  if (move.castle) return CASTLES[move.castle].san;
+
+  const type = move.piece.toLowerCase();
+  const target = squareName(move.to);
+  const capture = move.captured ? 'x' : '';
+
+  if (type === 'p') {
+    const promotion = move.promotion ? `=${move.promotion.toUpperCase()}` : '';
+    return `${capture ? FILES[move.from % 8] : ''}${capture}${target}${promotion}`;
+  }
+
+  const rivals = moves.filter(
+    m => m.to === move.to && m.from !== move.from && m.piece === move.piece
+  );
+  let disambiguation = '';
+  if (rivals.length > 0) {
+    const sameFile = rivals.some(m => m.from % 8 === move.from % 8);
+    const sameRank = rivals.some(m => Math.floor(m.from / 8) === Math.floor(move.from / 8));
+    const from = squareName(move.from);
+    if (!sameFile) disambiguation = from[0];
+    else if (!sameRank) disambiguation = from[1];
+    else disambiguation = from;
+  }
+  return `${type.toUpperCase()}${disambiguation}${capture}${target}`;
+};
+
+export const moveToSan = (pos, move, moves = legalMoves(pos)) => {
+  const next = applyMove(pos, move);
+  let suffix = '';
+  if (isCheck(next)) suffix = legalMoves(next).length === 0 ? '#' : '+';
+  return `${baseSan(pos, move, moves)}${suffix}`;
+};
+
+const cleanSan = (san) =>
+  san
+    .replace(/[+#!?]+$/, '')
+    .replace(/^0-0-0/, 'O-O-O')
+    .replace(/^0-0/, 'O-O')
+    .replace(/=/, '');
+
+/**
+ * Resolve a SAN string against the legal moves of `pos`.
+ * Returns the move object, or null when the SAN is illegal or ambiguous.
+ */
+export const sanToMove = (pos, san) => {
+  const wanted = cleanSan(san);
+  const moves = legalMoves(pos);
+  const exact = moves.filter(m => cleanSan(baseSan(pos, m, moves)) === wanted);
+  if (exact.length === 1) return exact[0];
+
+  // Over-disambiguated SAN such as "Ngf3" or "Qd1e2" is still unambiguous
+  const match = /^([KQRBN])([a-h])?([1-8])?x?([a-h][1-8])([QRBN])?$/.exec(wanted);
+  if (!match) return null;
+  const [, piece, file, rank, target] = match;
+  const loose = moves.filter((m) => {
+    const from = squareName(m.from);
+    return (
+      m.piece.toUpperCase() === piece &&
+      squareName(m.to) === target &&
+      (!file || from[0] === file) &&
+      (!rank || from[1] === rank)
+    );
+  });
+  return loose.length === 1 ? loose[0] : null;
+};
+
+/* ----------------------------- GAME REPLAY ----------------------------- */
+
+/**
+ * Replay the main line of a parsed PGN game (see parsePgn).
+ * Returns an array of plies; index 0 is the start position and entry i is
+ * { ply, san, move, fen, pos } after the i-th move. Throws on an illegal move.
+ */
+export const replayGame = (game) => {
+  const start = game.tags && game.tags.FEN ? parseFen(game.tags.FEN) : initialPosition();
+  const plies = [{ ply: 0, san: null, move: null, fen: toFen(start), pos: start }];
+
+  let pos = start;
+  game.moves.forEach((pgnMove) => {
+    let move = null;
+    let san = pgnMove.san;
+    if (san === '--') {
+      pos = applyNullMove(pos);
+    } else {
+      move = sanToMove(pos, san);
+      if (!move) {
+        throw new Error(
+          `Illegal move ${pgnMove.moveNumber}${pgnMove.color === 'w' ? '.' : '...'} ${san}`
+        );
+      }
+      san = moveToSan(pos, move);
+      pos = applyMove(pos, move);
+    }
+    plies.push({ ply: pgnMove.ply, san, move, fen: toFen(pos), pos, pgnMove });
+  });
+
+  return plies;
+};
+
+// Parse + replay a PGN string, returning { plies, error } instead of throwing
+export const replayPgn = (pgn) => {
+  try {
+    return { plies: replayGame(parsePgn(pgn)), error: null };
+  } catch (err) {
+    return { plies: null, error: err.message };
+  }
+};
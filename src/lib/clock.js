@@ -0,0 +1,72 @@
+import { parsePgn } from './pgn.js';
+
+/**
+ * Clock times
+ * - Read from `[%clk h:mm:ss]` move comments (Lichess, chess.com), which give
+ *   the mover's remaining time right after the move
+ * - Times are whole or fractional seconds; null when unknown
+ * - CLOCK_BUCKETS split mistakes by the time left when they were made
+ */
+
+// "[%clk 0:03:12]", "[%clk 1:05:00.4]", "[%clk 3:12]"
+const CLK = /\[%clk\s+(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)\]/;
+
+export const parseClockComment = (comment) => {
+  const match = CLK.exec(comment || '');
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+/**
+ * Remaining clock after each move of a PGN: { [ply]: seconds } for the moves
+ * that carry a [%clk] comment. Unreadable PGNs give {}.
+ */
+export const pgnClocks = (pgn) => {
+  if (!pgn) return {};
+  let parsed;
+  try {
+    parsed = parsePgn(pgn);
+  } catch {
+    return {};
+  }
+  const clocks = {};
+  parsed.moves.forEach((move) => {
+    const seconds = move.comments.map(parseClockComment).find(s => s !== null);
+    if (seconds !== undefined) clocks[move.ply] = seconds;
+  });
+  return clocks;
+};
+
+// 75 -> "1:15", 3725 -> "1:02:05"; '' for null
+export const formatClock = (seconds) => {
+  if (seconds === null || seconds === undefined) return '';
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+// Typed clock time: "1:15", "1:02:05" or plain seconds ("45"). Returns
+// seconds, null for an empty string, or NaN when it can't be read.
+export const parseClockInput = (text) => {
+  const value = (text || '').trim();
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value)) return Number(value);
+  const parsed = parseClockComment(`[%clk ${value}]`);
+  return parsed === null ? NaN : parsed;
+};
+
+export const CLOCK_BUCKETS = [
+  { key: 'under10', label: 'Under 10s', max: 10 },
+  { key: 'under30', label: '10–30s', max: 30 },
+  { key: 'under60', label: '30s–1 min', max: 60 },
+  { key: 'under180', label: '1–3 min', max: 180 },
+  { key: 'over180', label: 'Over 3 min', max: Infinity }
+];
+
+export const clockBucket = seconds =>
+  seconds === null || seconds === undefined
+    ? null
+    : CLOCK_BUCKETS.find(b => seconds < b.max).key;
@@ -0,0 +1,62 @@
+import { defaultGameForm } from './games.js';
+
+/**
+ * CSV export (RFC 4180)
+ * - CRLF line endings, header row first
+ * - Fields with commas, quotes or line breaks are quoted; quotes are doubled
+ */
+
+export const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ header, value: row => any }]
+export const toCsv = (rows, columns) =>
+  [
+    columns.map(c => escapeCsvField(c.header)).join(','),
+    ...rows.map(row => columns.map(c => escapeCsvField(c.value(row))).join(','))
+  ].join('\r\n') + '\r\n';
+
+// One row per game: every game form field plus the mistake count
+export const gamesToCsv = (games) => {
+  const fields = Object.keys(defaultGameForm());
+  const columns = [
+    { header: 'id', value: g => g.id },
+    ...fields.map(field => ({ header: field, value: g => g[field] })),
+    { header: 'mistakeCount', value: g => (g.mistakes || []).length }
+  ];
+  return toCsv(games, columns);
+};
+
+// One row per mistake, joined with its game's context
+export const mistakesToCsv = (games) => {
+  const rows = games.flatMap(game => (game.mistakes || []).map(mistake => ({ game, mistake })));
+  const columns = [
+    { header: 'gameId', value: r => r.game.id },
+    { header: 'date', value: r => r.game.date },
+    { header: 'opening', value: r => r.game.opening },
+    { header: 'color', value: r => r.game.color },
+    { header: 'opponentRating', value: r => r.game.opponentRating },
+    { header: 'result', value: r => r.game.result },
+    { header: 'mistakeId', value: r => r.mistake.id },
+    { header: 'mistakeType', value: r => r.mistake.mistakeType },
+    {
+      header: 'category',
+      value: r =>
+        r.mistake.mistakeType === 'tactical' ? r.mistake.tacticType : r.mistake.positionalType
+    },
+    { header: 'severity', value: r => r.mistake.severity || 'mistake' },
+    { header: 'gamePhase', value: r => r.mistake.gamePhase },
+    { header: 'phaseSource', value: r => r.mistake.phaseSource || 'manual' },
+    { header: 'clockSeconds', value: r => r.mistake.clockSeconds ?? '' },
+    { header: 'rootCause', value: r => r.mistake.rootCause || '' },
+    { header: 'ply', value: r => r.mistake.ply },
+    { header: 'move', value: r => r.mistake.san },
+    { header: 'fen', value: r => r.mistake.fen },
+    { header: 'betterMove', value: r => r.mistake.betterMove },
+    { header: 'note', value: r => r.mistake.note }
+  ];
+  return toCsv(rows, columns);
+};
@@ -0,0 +1,230 @@
+/**
+ * IndexedDB data-access layer
+ * - One `games` object store keyed by id, indexed by date, opening and result
+ * - A `reviews` store with the puzzle trainer's spaced-repetition state,
+ *   keyed by card id (lib/training.js)
+ * - A `taxonomy` store with the mistake categories, keyed by id (lib/taxonomy.js)
+ * - Single-record put/delete so a change writes one record, not the whole store
+ * - Bulk helpers run in one transaction: all records are written or none are
+ * - Schema upgrades run in order from the stored version, keeping existing records
+ * - Records are brought to the current record schema (lib/migrations.js) on upgrade
+ *   and on every write
+ */
+
+import { migrateGame } from './migrations.js';
+
+export const DB_NAME = 'chessTrackerDB';
+export const STORE_NAME = 'games';
+export const REVIEWS_STORE = 'reviews';
+export const TAXONOMY_STORE = 'taxonomy';
+export const DB_VERSION = 5;
+
+// UPGRADES[n] moves the database from version n to n + 1
+const UPGRADES = [
+  // 0 -> 1: the games store
+  (database) => {
+    database.createObjectStore(STORE_NAME, { keyPath: 'id' });
+  },
+  // 1 -> 2: query indexes; records are untouched
+  (database, transaction) => {
+    const store = transaction.objectStore(STORE_NAME);
+    ['date', 'opening', 'result'].forEach((field) => {
+      if (!store.indexNames.contains(field)) store.createIndex(field, field, { unique: false });
+    });
+  },
+  // 2 -> 3: upgrade every record to the current record schema
+  (database, transaction) => {
+    transaction.objectStore(STORE_NAME).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      try {
+        const { record, changed } = migrateGame(cursor.value);
+        if (changed) cursor.update(record);
+        cursor.continue();
+      } catch (err) {
+        // Aborting rolls the whole upgrade back, so the old records survive
+        upgradeError = err;
+        transaction.abort();
+      }
+    };
+  },
+  // 3 -> 4: the reviews store
+  (database) => {
+    database.createObjectStore(REVIEWS_STORE, { keyPath: 'id' });
+  },
+  // 4 -> 5: the taxonomy store; it is seeded on first load, not here
+  (database) => {
+    database.createObjectStore(TAXONOMY_STORE, { keyPath: 'id' });
+  }
+];
+
+let db = null;
+let upgradeError = null;
+
+export const initDB = () => {
+  return new Promise((resolve, reject) => {
+    if (db) {
+      resolve(db);
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => {
+      console.error('Database failed to open');
+      reject(upgradeError || request.error);
+      upgradeError = null;
+    };
+
+    request.onblocked = () => {
+      console.warn('Database upgrade is waiting for other Chess Tracker tabs to close');
+    };
+
+    request.onsuccess = () => {
+      db = request.result;
+      // Let a newer version in another tab upgrade instead of blocking it
+      db.onversionchange = () => {
+        db.close();
+        db = null;
+      };
+      resolve(db);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const database = request.result;
+      const transaction = request.transaction;
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        UPGRADES[version](database, transaction);
+      }
+    };
+  });
+};
+
+// Run `work(...stores)` in one transaction over `storeNames` and resolve with
+// its result once committed
+const withStores = async (mode, storeNames, work) => {
+  const database = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeNames, mode);
+    const stores = storeNames.map(name => transaction.objectStore(name));
+    let result;
+
+    const request = work(...stores);
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+
+    transaction.oncomplete = () => resolve(result);
+    // A failed request bubbles up here before the transaction aborts
+    transaction.onerror = (event) => reject(event.target.error || transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const withStore = (mode, work, storeName = STORE_NAME) => withStores(mode, [storeName], work);
+
+export const getAllGames = async () => {
+  const games = await withStore('readonly', store => store.getAll());
+  return Array.isArray(games) ? games : [];
+};
+
+export const getGame = (id) => withStore('readonly', store => store.get(id));
+
+// Games whose `indexName` (date | opening | result) matches a key or IDBKeyRange
+export const queryGames = (indexName, query) =>
+  withStore('readonly', store => store.index(indexName).getAll(query));
+
+// Writes always store the current record schema. Records are migrated before
+// the transaction opens, so a failing migration writes nothing.
+const current = (game) => migrateGame(game).record;
+
+export const putGame = async (game) => {
+  const record = current(game);
+  return withStore('readwrite', store => store.put(record));
+};
+
+export const deleteGame = (id) => withStore('readwrite', store => store.delete(id));
+
+// Insert new games; fails (and writes nothing) if any id already exists
+export const addGames = async (games) => {
+  const records = games.map(current);
+  return withStore('readwrite', (store) => {
+    records.forEach(record => store.add(record));
+  });
+};
+
+// Insert or overwrite several games, and puzzle `reviews` and mistake
+// `categories` in the same transaction when given (merging a backup)
+export const putGames = async (games, { reviews = [], categories = [] } = {}) => {
+  const records = games.map(current);
+  return withStores(
+    'readwrite',
+    [STORE_NAME, REVIEWS_STORE, TAXONOMY_STORE],
+    (store, reviewStore, taxonomyStore) => {
+      records.forEach(record => store.put(record));
+      reviews.forEach(review => reviewStore.put(review));
+      categories.forEach(category => taxonomyStore.put(category));
+    }
+  );
+};
+
+// Swap the whole store for `games`, e.g. when restoring a backup. Puzzle
+// `reviews` and mistake `categories` replace the stored ones too unless null.
+export const replaceAllGames = async (games, { reviews = null, categories = null } = {}) => {
+  const records = games.map(current);
+  return withStores(
+    'readwrite',
+    [STORE_NAME, REVIEWS_STORE, TAXONOMY_STORE],
+    (store, reviewStore, taxonomyStore) => {
+      store.clear();
+      records.forEach(record => store.put(record));
+      if (reviews) {
+        reviewStore.clear();
+        reviews.forEach(review => reviewStore.put(review));
+      }
+      if (categories) {
+        taxonomyStore.clear();
+        categories.forEach(category => taxonomyStore.put(category));
+      }
+    }
+  );
+};
+
+/* ----------------------------- REVIEWS ----------------------------- */
+
+export const getAllReviews = async () => {
+  const reviews = await withStore('readonly', store => store.getAll(), REVIEWS_STORE);
+  return Array.isArray(reviews) ? reviews : [];
+};
+
+export const putReview = (review) =>
+  withStore('readwrite', store => store.put(review), REVIEWS_STORE);
+
+/* ----------------------------- TAXONOMY ----------------------------- */
+
+export const getTaxonomy = async () => {
+  const categories = await withStore('readonly', store => store.getAll(), TAXONOMY_STORE);
+  return Array.isArray(categories) ? categories : [];
+};
+
+export const putCategories = (categories) =>
+  withStore(
+    'readwrite',
+    (store) => {
+      categories.forEach(category => store.put(category));
+    },
+    TAXONOMY_STORE
+  );
+
+// Save category edits and the games whose mistakes they re-key in one
+// transaction, so categories and mistakes never disagree
+export const applyTaxonomyChange = async ({ put = [], remove = [], games = [] }) => {
+  const records = games.map(current);
+  return withStores('readwrite', [TAXONOMY_STORE, STORE_NAME], (taxonomy, gameStore) => {
+    remove.forEach(id => taxonomy.delete(id));
+    put.forEach(category => taxonomy.put(category));
+    records.forEach(record => gameStore.put(record));
+  });
+};
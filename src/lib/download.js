@@ -0,0 +1,17 @@
+/**
+ * Trigger a browser download of in-memory text content
+ */
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const blob = new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// "2024-03-15" for file names
+export const todayStamp = () => new Date().toISOString().split('T')[0];
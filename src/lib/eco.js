@@ -0,0 +1,447 @@
+/**
+ * Bundled ECO lookup: opening families and their main variations
+ * - `eco` is a code range ('B90-B99') or a single code
+ * - `aliases` are lowercase phrases matched as whole words against a
+ *   normalised opening name; the family and variation names match too
+ * - Variations sit inside their family's range, so the narrowest range wins
+ *   when looking up a bare ECO code
+ */
+
+export const ECO_FAMILIES = [
+  {
+    eco: 'A00', family: 'Irregular Opening', aliases: ['irregular', 'uncommon opening'],
+    variations: [
+      { eco: 'A00', name: 'Polish Opening', aliases: ['polish', 'sokolsky', 'orangutan'] },
+      { eco: 'A00', name: 'Grob Opening', aliases: ['grob'] },
+      { eco: 'A00', name: "Van't Kruijs Opening", aliases: ['vant kruijs', 'kruijs'] },
+      { eco: 'A00', name: 'Hungarian Opening', aliases: ['hungarian opening', 'benko opening'] },
+      { eco: 'A00', name: 'Mieses Opening', aliases: ['mieses'] }
+    ]
+  },
+  { eco: 'A01', family: 'Nimzo-Larsen Attack', aliases: ['nimzo larsen', 'larsen', 'nimzowitsch larsen'], variations: [] },
+  {
+    eco: 'A02-A03', family: "Bird's Opening", aliases: ['bird', 'birds', 'birds opening'],
+    variations: [{ eco: 'A02', name: "From's Gambit", aliases: ['froms gambit', 'from gambit'] }]
+  },
+  {
+    eco: 'A04-A09', family: 'Réti Opening', aliases: ['reti', 'zukertort', 'kings indian attack'],
+    variations: [
+      { eco: 'A07-A08', name: "King's Indian Attack", aliases: ['kings indian attack', 'kia'] }
+    ]
+  },
+  {
+    eco: 'A10-A39', family: 'English Opening', aliases: ['english'],
+    variations: [
+      { eco: 'A10', name: 'Anglo-Dutch', aliases: ['anglo dutch'] },
+      { eco: 'A15-A19', name: 'Anglo-Indian', aliases: ['anglo indian'] },
+      { eco: 'A20-A29', name: "King's English", aliases: ['kings english', 'reversed sicilian'] },
+      { eco: 'A30-A39', name: 'Symmetrical Variation', aliases: ['symmetrical'] }
+    ]
+  },
+  {
+    eco: 'A40-A44', family: "Queen's Pawn Sidelines", aliases: [],
+    variations: [
+      { eco: 'A40', name: 'Englund Gambit', aliases: ['englund'] },
+      { eco: 'A43-A44', name: 'Old Benoni', aliases: ['old benoni'] }
+    ]
+  },
+  {
+    eco: 'A45-A49', family: 'Indian Defense', aliases: ['indian', 'indian defense', 'indian game'],
+    variations: [
+      { eco: 'A45', name: 'Trompowsky Attack', aliases: ['trompowsky', 'trompovsky'] },
+      { eco: 'A46', name: 'Torre Attack', aliases: ['torre'] },
+      { eco: 'A48', name: 'East Indian Defense', aliases: ['east indian'] }
+    ]
+  },
+  {
+    eco: 'A50-A79', family: 'Benoni Defense', aliases: ['benoni'],
+    variations: [
+      { eco: 'A51-A52', name: 'Budapest Gambit', aliases: ['budapest'] },
+      { eco: 'A53-A55', name: 'Old Indian Defense', aliases: ['old indian'] },
+      { eco: 'A57-A59', name: 'Benko Gambit', aliases: ['benko gambit', 'volga'] },
+      { eco: 'A60-A79', name: 'Modern Variation', aliases: ['modern benoni'] }
+    ]
+  },
+  {
+    eco: 'A80-A99', family: 'Dutch Defense', aliases: ['dutch'],
+    variations: [
+      { eco: 'A82', name: 'Staunton Gambit', aliases: ['staunton'] },
+      { eco: 'A87-A89', name: 'Leningrad Variation', aliases: ['leningrad'] },
+      { eco: 'A90-A99', name: 'Stonewall Variation', aliases: ['stonewall'] },
+      { eco: 'A90-A99', name: 'Classical Variation', aliases: ['classical'] }
+    ]
+  },
+  {
+    eco: 'B00', family: "King's Pawn Opening", aliases: ['kings pawn', 'kings pawn game', 'kings pawn opening'],
+    variations: [
+      { eco: 'B00', name: 'Nimzowitsch Defense', aliases: ['nimzowitsch defense', 'nimzovich defense'] },
+      { eco: 'B00', name: "Owen's Defense", aliases: ['owen', 'owens'] },
+      { eco: 'B00', name: 'St. George Defense', aliases: ['st george', 'saint george'] }
+    ]
+  },
+  {
+    eco: 'B01', family: 'Scandinavian Defense', aliases: ['scandinavian', 'center counter', 'centre counter'],
+    variations: [
+      { eco: 'B01', name: 'Main Line', aliases: ['qxd5', 'main line', 'mieses kotroc'] },
+      { eco: 'B01', name: 'Modern Variation', aliases: ['modern', 'nf6'] },
+      { eco: 'B01', name: 'Portuguese Gambit', aliases: ['portuguese'] }
+    ]
+  },
+  {
+    eco: 'B02-B05', family: 'Alekhine Defense', aliases: ['alekhine', 'alekhines', 'alekhine defense'],
+    variations: [
+      { eco: 'B03', name: 'Four Pawns Attack', aliases: ['four pawns'] },
+      { eco: 'B03', name: 'Exchange Variation', aliases: ['exchange'] },
+      { eco: 'B04-B05', name: 'Modern Variation', aliases: ['modern'] }
+    ]
+  },
+  { eco: 'B06', family: 'Modern Defense', aliases: ['modern defense', 'robatsch'], variations: [] },
+  {
+    eco: 'B07-B09', family: 'Pirc Defense', aliases: ['pirc'],
+    variations: [
+      { eco: 'B08', name: 'Classical Variation', aliases: ['classical'] },
+      { eco: 'B09', name: 'Austrian Attack', aliases: ['austrian'] }
+    ]
+  },
+  {
+    eco: 'B10-B19', family: 'Caro-Kann Defense', aliases: ['caro kann', 'carokann', 'caro'],
+    variations: [
+      { eco: 'B12', name: 'Advance Variation', aliases: ['advance'] },
+      { eco: 'B13', name: 'Exchange Variation', aliases: ['exchange'] },
+      { eco: 'B13-B14', name: 'Panov Attack', aliases: ['panov', 'panov botvinnik'] },
+      { eco: 'B15-B16', name: 'Bronstein-Larsen / Tartakower', aliases: ['bronstein larsen', 'tartakower', 'forgacs'] },
+      { eco: 'B17', name: 'Karpov Variation', aliases: ['karpov', 'steinitz'] },
+      { eco: 'B18-B19', name: 'Classical Variation', aliases: ['classical'] },
+      { eco: 'B10', name: 'Two Knights Attack', aliases: ['two knights'] }
+    ]
+  },
+  {
+    eco: 'B20-B99', family: 'Sicilian Defense', aliases: ['sicilian'],
+    variations: [
+      { eco: 'B21', name: 'Smith-Morra Gambit', aliases: ['smith morra', 'morra'] },
+      { eco: 'B22', name: 'Alapin Variation', aliases: ['alapin', 'c3 sicilian'] },
+      { eco: 'B23-B26', name: 'Closed Variation', aliases: ['closed', 'grand prix'] },
+      { eco: 'B30-B31', name: 'Rossolimo Variation', aliases: ['rossolimo'] },
+      { eco: 'B32', name: 'Kalashnikov Variation', aliases: ['kalashnikov'] },
+      { eco: 'B33', name: 'Sveshnikov Variation', aliases: ['sveshnikov', 'lasker pelikan', 'pelikan'] },
+      { eco: 'B34-B39', name: 'Accelerated Dragon', aliases: ['accelerated dragon', 'hyperaccelerated dragon', 'accelerated fianchetto'] },
+      { eco: 'B41-B43', name: 'Kan Variation', aliases: ['kan', 'paulsen'] },
+      { eco: 'B44-B49', name: 'Taimanov Variation', aliases: ['taimanov'] },
+      { eco: 'B40', name: 'Four Knights Variation', aliases: ['four knights'] },
+      { eco: 'B51-B52', name: 'Moscow Variation', aliases: ['moscow', 'canal'] },
+      { eco: 'B56-B59', name: 'Classical Variation', aliases: ['classical'] },
+      { eco: 'B60-B69', name: 'Richter-Rauzer Variation', aliases: ['richter rauzer', 'rauzer'] },
+      { eco: 'B70-B79', name: 'Dragon Variation', aliases: ['dragon'] },
+      { eco: 'B80-B89', name: 'Scheveningen Variation', aliases: ['scheveningen'] },
+      { eco: 'B86-B89', name: 'Sozin Attack', aliases: ['sozin', 'fischer sozin'] },
+      { eco: 'B90-B99', name: 'Najdorf Variation', aliases: ['najdorf'] },
+      { eco: 'B20', name: 'Wing Gambit', aliases: ['wing gambit'] },
+      { eco: 'B27', name: 'Hyperaccelerated Dragon', aliases: ['hyperaccelerated'] },
+      { eco: 'B28', name: "O'Kelly Variation", aliases: ['okelly'] }
+    ]
+  },
+  {
+    eco: 'C00-C19', family: 'French Defense', aliases: ['french'],
+    variations: [
+      { eco: 'C01', name: 'Exchange Variation', aliases: ['exchange'] },
+      { eco: 'C02', name: 'Advance Variation', aliases: ['advance'] },
+      { eco: 'C03-C09', name: 'Tarrasch Variation', aliases: ['tarrasch'] },
+      { eco: 'C10', name: 'Rubinstein Variation', aliases: ['rubinstein'] },
+      { eco: 'C11-C14', name: 'Classical Variation', aliases: ['classical', 'steinitz', 'mccutcheon'] },
+      { eco: 'C15-C19', name: 'Winawer Variation', aliases: ['winawer'] }
+    ]
+  },
+  {
+    eco: 'C20-C22', family: 'Center Game', aliases: ['center game', 'centre game', 'danish'],
+    variations: [{ eco: 'C21', name: 'Danish Gambit', aliases: ['danish'] }]
+  },
+  { eco: 'C23-C24', family: "Bishop's Opening", aliases: ['bishops opening', 'bishop opening'], variations: [] },
+  {
+    eco: 'C25-C29', family: 'Vienna Game', aliases: ['vienna'],
+    variations: [{ eco: 'C25', name: 'Vienna Gambit', aliases: ['vienna gambit'] }]
+  },
+  {
+    eco: 'C30-C39', family: "King's Gambit", aliases: ['kings gambit'],
+    variations: [
+      { eco: 'C30-C32', name: 'Declined', aliases: ['declined', 'falkbeer'] },
+      { eco: 'C33-C39', name: 'Accepted', aliases: ['accepted'] }
+    ]
+  },
+  {
+    eco: 'C40', family: "King's Knight Opening", aliases: ['kings knight', 'kings knight opening'],
+    variations: [
+      { eco: 'C40', name: 'Latvian Gambit', aliases: ['latvian'] },
+      { eco: 'C40', name: 'Elephant Gambit', aliases: ['elephant'] }
+    ]
+  },
+  { eco: 'C41', family: 'Philidor Defense', aliases: ['philidor'], variations: [] },
+  {
+    eco: 'C42-C43', family: 'Petrov Defense', aliases: ['petrov', 'petroff', 'russian game', 'russian defense'],
+    variations: [{ eco: 'C43', name: 'Modern Attack', aliases: ['modern attack'] }]
+  },
+  { eco: 'C44', family: 'Ponziani Opening', aliases: ['ponziani'], variations: [] },
+  {
+    eco: 'C44-C45', family: 'Scotch Game', aliases: ['scotch'],
+    variations: [{ eco: 'C44', name: 'Scotch Gambit', aliases: ['scotch gambit'] }]
+  },
+  { eco: 'C46', family: 'Three Knights Opening', aliases: ['three knights'], variations: [] },
+  {
+    eco: 'C47-C49', family: 'Four Knights Game', aliases: ['four knights game'],
+    variations: [
+      { eco: 'C47', name: 'Scotch Variation', aliases: ['scotch'] },
+      { eco: 'C48-C49', name: 'Spanish Variation', aliases: ['spanish'] }
+    ]
+  },
+  {
+    eco: 'C50-C54', family: 'Italian Game', aliases: ['italian', 'giuoco', 'giuoco piano', 'guioco piano'],
+    variations: [
+      { eco: 'C50', name: 'Hungarian Defense', aliases: ['hungarian defense'] },
+      { eco: 'C50', name: 'Giuoco Pianissimo', aliases: ['pianissimo'] },
+      { eco: 'C51-C52', name: 'Evans Gambit', aliases: ['evans'] },
+      { eco: 'C53-C54', name: 'Giuoco Piano', aliases: ['giuoco piano', 'classical'] }
+    ]
+  },
+  {
+    eco: 'C55-C59', family: 'Two Knights Defense', aliases: ['two knights defense'],
+    variations: [
+      { eco: 'C57', name: 'Fried Liver Attack', aliases: ['fried liver', 'fegatello'] },
+      { eco: 'C57', name: 'Traxler Counterattack', aliases: ['traxler', 'wilkes barre'] },
+      { eco: 'C55', name: 'Max Lange Attack', aliases: ['max lange'] }
+    ]
+  },
+  {
+    eco: 'C60-C99', family: 'Ruy Lopez', aliases: ['ruy lopez', 'spanish', 'spanish game', 'spanish opening'],
+    variations: [
+      { eco: 'C60', name: 'Cozio Defense', aliases: ['cozio'] },
+      { eco: 'C62', name: 'Old Steinitz Defense', aliases: ['steinitz'] },
+      { eco: 'C63', name: 'Schliemann Defense', aliases: ['schliemann', 'jaenisch'] },
+      { eco: 'C64', name: 'Classical Variation', aliases: ['classical'] },
+      { eco: 'C65-C67', name: 'Berlin Defense', aliases: ['berlin'] },
+      { eco: 'C68-C69', name: 'Exchange Variation', aliases: ['exchange'] },
+      { eco: 'C80-C83', name: 'Open Variation', aliases: ['open'] },
+      { eco: 'C84-C99', name: 'Closed Variation', aliases: ['closed'] },
+      { eco: 'C89', name: 'Marshall Attack', aliases: ['marshall'] },
+      { eco: 'C92', name: 'Zaitsev Variation', aliases: ['zaitsev'] },
+      { eco: 'C94-C95', name: 'Breyer Variation', aliases: ['breyer'] },
+      { eco: 'C96-C99', name: 'Chigorin Variation', aliases: ['chigorin', 'tchigorin'] },
+      { eco: 'C70-C79', name: 'Morphy Defense', aliases: ['morphy'] }
+    ]
+  },
+  {
+    eco: 'D00-D05', family: "Queen's Pawn Game", aliases: ['queens pawn', 'queens pawn game', 'queens pawn opening'],
+    variations: [
+      { eco: 'D00', name: 'Blackmar-Diemer Gambit', aliases: ['blackmar diemer', 'blackmar'] },
+      { eco: 'D00', name: 'London System', aliases: ['london'] },
+      { eco: 'D00', name: 'Jobava London System', aliases: ['jobava'] },
+      { eco: 'D01', name: 'Richter-Veresov Attack', aliases: ['veresov', 'richter veresov'] },
+      { eco: 'D04-D05', name: 'Colle System', aliases: ['colle', 'zukertort'] }
+    ]
+  },
+  {
+    eco: 'D06-D09', family: "Queen's Gambit", aliases: ['queens gambit'],
+    variations: [
+      { eco: 'D07', name: 'Chigorin Defense', aliases: ['chigorin', 'tchigorin'] },
+      { eco: 'D08-D09', name: 'Albin Countergambit', aliases: ['albin'] },
+      { eco: 'D06', name: 'Baltic Defense', aliases: ['baltic'] }
+    ]
+  },
+  {
+    eco: 'D10-D19', family: 'Slav Defense', aliases: ['slav'],
+    variations: [
+      { eco: 'D10', name: 'Exchange Variation', aliases: ['exchange'] },
+      { eco: 'D15-D19', name: 'Main Line', aliases: ['main line', 'czech', 'dutch variation'] }
+    ]
+  },
+  {
+    eco: 'D20-D29', family: "Queen's Gambit Accepted", aliases: ['queens gambit accepted', 'qga'],
+    variations: []
+  },
+  {
+    eco: 'D30-D69', family: "Queen's Gambit Declined", aliases: ['queens gambit declined', 'qgd'],
+    variations: [
+      { eco: 'D32-D34', name: 'Tarrasch Defense', aliases: ['tarrasch'] },
+      { eco: 'D35-D36', name: 'Exchange Variation', aliases: ['exchange'] },
+      { eco: 'D40-D42', name: 'Semi-Tarrasch Defense', aliases: ['semi tarrasch'] },
+      { eco: 'D43-D49', name: 'Semi-Slav Defense', aliases: ['semi slav', 'meran', 'botvinnik'] },
+      { eco: 'D53-D69', name: 'Orthodox Defense', aliases: ['orthodox', 'tartakower', 'lasker defense'] },
+      { eco: 'D37', name: 'Harrwitz Attack', aliases: ['harrwitz'] },
+      { eco: 'D38-D39', name: 'Ragozin Defense', aliases: ['ragozin'] }
+    ]
+  },
+  {
+    eco: 'D70-D99', family: 'Grünfeld Defense', aliases: ['grunfeld', 'gruenfeld', 'neo grunfeld'],
+    variations: [
+      { eco: 'D85-D89', name: 'Exchange Variation', aliases: ['exchange'] },
+      { eco: 'D96-D99', name: 'Russian Variation', aliases: ['russian'] }
+    ]
+  },
+  {
+    eco: 'E00-E09', family: 'Catalan Opening', aliases: ['catalan'],
+    variations: [
+      { eco: 'E02-E05', name: 'Open Defense', aliases: ['open'] },
+      { eco: 'E06-E09', name: 'Closed Variation', aliases: ['closed'] }
+    ]
+  },
+  { eco: 'E10', family: 'Blumenfeld Countergambit', aliases: ['blumenfeld'], variations: [] },
+  { eco: 'E11', family: 'Bogo-Indian Defense', aliases: ['bogo indian', 'bogoljubov'], variations: [] },
+  {
+    eco: 'E12-E19', family: "Queen's Indian Defense", aliases: ['queens indian'],
+    variations: [{ eco: 'E12', name: 'Petrosian Variation', aliases: ['petrosian'] }]
+  },
+  {
+    eco: 'E20-E59', family: 'Nimzo-Indian Defense', aliases: ['nimzo indian', 'nimzoindian'],
+    variations: [
+      { eco: 'E32-E39', name: 'Classical Variation', aliases: ['classical', 'capablanca'] },
+      { eco: 'E40-E59', name: 'Rubinstein Variation', aliases: ['rubinstein', 'normal variation'] },
+      { eco: 'E24-E29', name: 'Sämisch Variation', aliases: ['samisch', 'saemisch'] }
+    ]
+  },
+  {
+    eco: 'E60-E99', family: "King's Indian Defense", aliases: ['kings indian', 'kings indian defense', 'kid'],
+    variations: [
+      { eco: 'E62-E69', name: 'Fianchetto Variation', aliases: ['fianchetto'] },
+      { eco: 'E76-E79', name: 'Four Pawns Attack', aliases: ['four pawns'] },
+      { eco: 'E80-E89', name: 'Sämisch Variation', aliases: ['samisch', 'saemisch'] },
+      { eco: 'E90-E99', name: 'Orthodox Variation', aliases: ['orthodox', 'classical'] },
+      { eco: 'E97-E99', name: 'Mar del Plata Variation', aliases: ['mar del plata', 'aronin taimanov'] },
+      { eco: 'E92', name: 'Petrosian Variation', aliases: ['petrosian'] },
+      { eco: 'E73-E75', name: 'Averbakh Variation', aliases: ['averbakh'] }
+    ]
+  }
+];
+
+/* ------------------------------- NORMALISATION ------------------------------- */
+
+// Lowercase words only: accents and apostrophes dropped, British spelling folded,
+// chess.com URL-style hyphens and Lichess colons turned into spaces
+const normaliseText = text =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/defence/g, 'defense')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const ecoRange = (eco) => {
+  const [from, to = from] = eco.split('-');
+  return { from, to, width: parseInt(to.slice(1), 10) - parseInt(from.slice(1), 10) };
+};
+
+const phrases = (name, aliases) => [normaliseText(name), ...aliases];
+
+// Every variation alias with the families it appears in; only aliases unique to
+// one family ("najdorf", not "exchange") identify a family on their own
+const variationFamilies = {};
+ECO_FAMILIES.forEach(family =>
+  family.variations.forEach(variation =>
+    phrases(variation.name, variation.aliases).forEach((alias) => {
+      const owners = (variationFamilies[alias] = variationFamilies[alias] || new Set());
+      owners.add(family.family);
+    })
+  )
+);
+
+const containsPhrase = (text, phrase) => phrase && ` ${text} `.includes(` ${phrase} `);
+
+// Length of the longest of `name`/`aliases` found in `text`, or 0
+const matchLength = (text, name, aliases) =>
+  Math.max(0, ...phrases(name, aliases).filter(a => containsPhrase(text, a)).map(a => a.length));
+
+const bestVariation = (family, text) => {
+  let best = null;
+  let bestLength = 0;
+  family.variations.forEach((variation) => {
+    const length = matchLength(text, variation.name, variation.aliases);
+    if (length > bestLength) [best, bestLength] = [variation, length];
+  });
+  return best;
+};
+
+// Narrowest family or variation range containing a bare ECO code
+const lookupCode = (code) => {
+  let best = null;
+  const consider = (family, variation) => {
+    const range = ecoRange((variation || family).eco);
+    if (code < range.from || code > range.to) return;
+    if (!best || range.width < best.width) best = { family, variation, width: range.width };
+  };
+  ECO_FAMILIES.forEach((family) => {
+    consider(family, null);
+    family.variations.forEach(variation => consider(family, variation));
+  });
+  return best;
+};
+
+const titleCase = text => text.replace(/\b[a-z]/g, c => c.toUpperCase());
+
+/**
+ * Canonical family, variation and ECO code for a free-text opening name, a
+ * PGN Opening tag, a chess.com ECOUrl slug or a bare ECO code. Returns
+ * { family, variation, eco } — variation is null when only the family is
+ * known, eco is null for names the table doesn't cover (the family is then
+ * the trimmed original name).
+ */
+export const normalizeOpening = (name) => {
+  const raw = String(name || '').trim();
+  if (!raw) return { family: 'Unknown', variation: null, eco: null };
+
+  const codeMatch = raw.match(/\b([A-E]\d\d)\b/);
+  const code = codeMatch ? codeMatch[1] : null;
+  const text = normaliseText(raw.replace(/\b[A-E]\d\d\b/g, ' '));
+
+  // Longest phrase wins; on a tie a family alias beats a variation alias
+  // ("Spanish Exchange" is the Ruy Lopez, not the Four Knights' Spanish Variation)
+  let match = null;
+  let matchedScore = 0;
+  ECO_FAMILIES.forEach((family) => {
+    const familyLength = matchLength(text, family.family, family.aliases);
+    if (familyLength && familyLength * 2 + 1 > matchedScore) {
+      match = { family, variation: null };
+      matchedScore = familyLength * 2 + 1;
+    }
+    family.variations.forEach((variation) => {
+      const unique = phrases(variation.name, variation.aliases).filter(
+        a => variationFamilies[a].size === 1 && containsPhrase(text, a)
+      );
+      const length = Math.max(0, ...unique.map(a => a.length));
+      if (length * 2 > matchedScore) {
+        match = { family, variation };
+        matchedScore = length * 2;
+      }
+    });
+  });
+
+  if (match) {
+    const variation = match.variation || bestVariation(match.family, text);
+    return {
+      family: match.family.family,
+      variation: variation ? variation.name : null,
+      eco: code || (variation || match.family).eco
+    };
+  }
+
+  if (code) {
+    const found = lookupCode(code);
+    if (found) {
+      return {
+        family: found.family.family,
+        variation: found.variation ? found.variation.name : null,
+        eco: code
+      };
+    }
+  }
+
+  return { family: titleCase(raw.replace(/\s+/g, ' ')), variation: null, eco: null };
+};
+
+// ECO range of a canonical family (or one of its variations) from the table,
+// or null for names outside it
+export const tableEco = (family, variation = null) => {
+  const entry = ECO_FAMILIES.find(f => f.family === family);
+  if (!entry) return null;
+  if (!variation) return entry.eco;
+  const child = entry.variations.find(v => v.name === variation);
+  return child ? child.eco : null;
+};
@@ -0,0 +1,139 @@
+import engineScriptUrl from 'stockfish/bin/stockfish-19-lite-single.js?url';
+import engineWasmUrl from 'stockfish/bin/stockfish-19-lite-single.wasm?url';
+import { analysisPositions, buildAnalysis } from './analysis.js';
+
+/**
+ * Local Stockfish (lite, single-threaded WASM build) in a Web Worker
+ * - Talks plain UCI over postMessage; nothing leaves the browser
+ * - The single-threaded build needs no cross-origin isolation headers, so it
+ *   also runs on GitHub Pages
+ * - One search at a time; requests queue up behind each other
+ */
+
+export const ENGINE_NAME = 'Stockfish 19 lite';
+export const DEFAULT_DEPTH = 14;
+
+export class EngineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EngineError';
+  }
+}
+
+// "info depth 12 ... score cp -35 ... pv e7e5 g1f3" -> { depth, cp, mate, pv }
+export const parseInfoLine = (line) => {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'info') return null;
+  const info = { depth: null, cp: null, mate: null, pv: [] };
+  for (let i = 1; i < tokens.length; i++) {
+    if (tokens[i] === 'depth') info.depth = Number(tokens[++i]);
+    else if (tokens[i] === 'score') {
+      const kind = tokens[++i];
+      const value = Number(tokens[++i]);
+      if (kind === 'cp') info.cp = value;
+      else if (kind === 'mate') info.mate = value;
+    } else if (tokens[i] === 'pv') {
+      info.pv = tokens.slice(i + 1);
+      break;
+    }
+  }
+  return info.cp === null && info.mate === null ? null : info;
+};
+
+/**
+ * Start an engine. Returns { evaluate(fen, depth), terminate() }.
+ * `evaluate` resolves with { cp, mate, bestMove } for the side to move.
+ */
+export const createEngine = () => {
+  // The engine script finds its .wasm through the URL hash
+  const worker = new Worker(`${engineScriptUrl}#${encodeURIComponent(engineWasmUrl)}`);
+  let listener = null;
+  let failure = null;
+  let queue = Promise.resolve();
+
+  worker.onmessage = (e) => {
+    if (listener) listener(String(e.data));
+  };
+  worker.onerror = (e) => {
+    failure = new EngineError(`The engine failed to start: ${e.message || 'unknown error'}`);
+    if (listener) listener(null);
+  };
+
+  const send = (command) => worker.postMessage(command);
+
+  // Send `command` and collect output until `done(line)` says stop
+  const exchange = (command, done) =>
+    new Promise((resolve, reject) => {
+      if (failure) {
+        reject(failure);
+        return;
+      }
+      listener = (line) => {
+        if (line === null) {
+          listener = null;
+          reject(failure);
+          return;
+        }
+        const result = done(line);
+        if (result !== undefined) {
+          listener = null;
+          resolve(result);
+        }
+      };
+      send(command);
+    });
+
+  const ready = exchange('uci', line => (line === 'uciok' ? true : undefined)).then(() =>
+    exchange('isready', line => (line === 'readyok' ? true : undefined))
+  );
+
+  const evaluate = (fen, depth = DEFAULT_DEPTH) => {
+    const run = async () => {
+      await ready;
+      send(`position fen ${fen}`);
+      let last = null;
+      return exchange(`go depth ${depth}`, (line) => {
+        const info = parseInfoLine(line);
+        if (info) last = info;
+        if (line.startsWith('bestmove')) {
+          const bestMove = line.split(/\s+/)[1];
+          return {
+            cp: last ? last.cp : 0,
+            mate: last ? last.mate : null,
+            bestMove: bestMove && bestMove !== '(none)' ? bestMove : null
+          };
+        }
+        return undefined;
+      });
+    };
+    const result = queue.then(run);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const terminate = () => {
+    failure = failure || new EngineError('The engine was stopped');
+    if (listener) listener(null);
+    worker.terminate();
+  };
+
+  return { evaluate, terminate };
+};
+
+/**
+ * Evaluate every position of `pgn` and build the analysis to store on the game.
+ * `onProgress(done, total)` is called after each position; pass an AbortSignal
+ * as `signal` to stop early (the promise then rejects with EngineError).
+ */
+export const analyseGame = async (engine, pgn, { depth = DEFAULT_DEPTH, onProgress, signal } = {}) => {
+  const positions = analysisPositions(pgn);
+  const results = [];
+  for (const position of positions) {
+    if (signal?.aborted) throw new EngineError('Analysis cancelled');
+    results.push(
+      position.score ? { ...position.score, bestMove: null } : await engine.evaluate(position.fen, depth)
+    );
+    if (onProgress) onProgress(results.length, positions.length);
+  }
+  return buildAnalysis(pgn, results, { engine: ENGINE_NAME, depth });
+};
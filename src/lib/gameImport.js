@@ -0,0 +1,88 @@
+import { parsePgn, gameFieldsFromPgn, splitPgnGames } from './pgn.js';
+import { defaultGameForm } from './games.js';
+import { CURRENT_SCHEMA_VERSION } from './migrations.js';
+
+/**
+ * Bulk PGN import
+ * - Splits a PGN database into games and maps each onto a stored game record
+ * - Flags games that are already stored (same date, opponent and moves)
+ * - Games where the username doesn't give our color and result are held back
+ *   rather than stored with the form defaults
+ */
+
+const safeParse = (pgn) => {
+  if (!pgn || !pgn.trim()) return null;
+  try {
+    return parsePgn(pgn);
+  } catch {
+    return null;
+  }
+};
+
+// Identity used for duplicate detection: date + opponent + main-line moves.
+// The opponent is the PGN name of the other side, falling back to the rating.
+export const gameIdentity = (game, parsed = safeParse(game.pgn)) => {
+  const opponentName = parsed
+    ? parsed.tags[game.color === 'white' ? 'Black' : 'White']
+    : '';
+  const opponent =
+    opponentName && opponentName !== '?'
+      ? opponentName.trim().toLowerCase()
+      : String(game.opponentRating || '');
+  const moves = parsed ? parsed.moves.map(m => m.san).join(' ') : '';
+  return `${game.date}|${opponent}|${moves}`;
+};
+
+/**
+ * Build preview rows for a PGN file.
+ * Each row is { index, game, tags, warnings, error, duplicate, unresolved };
+ * `game` has the same shape handleAddGame creates and is null when the PGN
+ * failed to parse. `unresolved` rows lack our color or result and can't be
+ * imported until the username matches.
+ */
+export const buildImportPreview = (text, existingGames, username) => {
+  const known = new Set(existingGames.map(g => gameIdentity(g)));
+  const baseId = Date.now();
+
+  return splitPgnGames(text).map((pgn, index) => {
+    let parsed;
+    try {
+      parsed = parsePgn(pgn);
+    } catch (err) {
+      return {
+        index,
+        game: null,
+        tags: {},
+        warnings: [],
+        error: err.message,
+        duplicate: false,
+        unresolved: false
+      };
+    }
+
+    const { fields, warnings } = gameFieldsFromPgn(parsed, username);
+    const game = {
+      id: baseId + index,
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      ...defaultGameForm(),
+      ...fields,
+      pgn,
+      mistakes: []
+    };
+    if (!game.opponentRating) warnings.push('No opponent rating.');
+    if (!game.opening) warnings.push('No opening name.');
+
+    // Without our color the duplicate check would key on the wrong opponent
+    const unresolved = !fields.color || !fields.result;
+    if (unresolved) {
+      return { index, game, tags: parsed.tags, warnings, error: null, duplicate: false, unresolved };
+    }
+
+    // Also catches the same game appearing twice in one file
+    const identity = gameIdentity(game, parsed);
+    const duplicate = known.has(identity);
+    known.add(identity);
+
+    return { index, game, tags: parsed.tags, warnings, error: null, duplicate, unresolved };
+  });
+};
@@ -0,0 +1,59 @@
+/**
+ * Game record helpers shared by the form, import and storage code
+ */
+
+// `myRating` is optional: '' when unknown. `timeControl` is the category and
+// the clock fields are described in lib/timeControl.js.
+export const defaultGameForm = () => ({
+  date: new Date().toISOString().split('T')[0],
+  color: 'white',
+  opponentRating: '',
+  myRating: '',
+  result: 'win',
+  opening: '',
+  timeControl: 'rapid',
+  baseSeconds: null,
+  incrementSeconds: null,
+  secondsPerMove: null,
+  gameLink: '',
+  pgn: ''
+});
+
+// `weight` is how much a mistake of that severity counts in weighted stats
+export const SEVERITIES = [
+  { value: 'inaccuracy', label: 'Inaccuracy', weight: 0.5 },
+  { value: 'mistake', label: 'Mistake', weight: 1 },
+  { value: 'blunder', label: 'Blunder', weight: 2 }
+];
+
+export const severityWeight = severity =>
+  (SEVERITIES.find(s => s.value === severity) || SEVERITIES[1]).weight;
+
+export const ROOT_CAUSES = [
+  { value: 'calculation', label: 'Calculation error' },
+  { value: 'missedThreat', label: 'Missed opponent threat' },
+  { value: 'overconfidence', label: 'Overconfidence' },
+  { value: 'fatigue', label: 'Fatigue' },
+  { value: 'didntLook', label: "Didn't look" }
+];
+
+// `ply`, `san` and `fen` link a mistake to the move it was made on; `fen` is
+// the position before that move and `betterMove` is SAN from that position.
+// `phaseSource` is 'inferred' when gamePhase came from the position, else 'manual'.
+// `clockSeconds` is the time left after the move (null when unknown) and
+// `rootCause` is one of ROOT_CAUSES or '' when not given.
+export const defaultMistakeForm = () => ({
+  mistakeType: 'tactical',
+  tacticType: 'fork',
+  positionalType: 'weakSquares',
+  severity: 'mistake',
+  gamePhase: 'middlegame',
+  phaseSource: null,
+  clockSeconds: null,
+  rootCause: '',
+  note: '',
+  ply: null,
+  san: '',
+  fen: '',
+  betterMove: ''
+});
@@ -0,0 +1,151 @@
+import { formatTimeControl } from './timeControl.js';
+
+/**
+ * Game history search, filters, sorting and paging
+ * - Filters are plain strings so they round-trip through the URL query
+ * - An empty filter value means "any"
+ * - Free text matches openings and mistake notes; every word has to match
+ * - The time control filter takes a category ("blitz") or an exact control ("5+3")
+ */
+
+export const PAGE_SIZE = 25;
+
+export const DEFAULT_FILTERS = {
+  q: '',
+  from: '',
+  to: '',
+  result: '',
+  color: '',
+  timeControl: '',
+  opening: '',
+  ratingMin: '',
+  ratingMax: '',
+  // 'tactical' | 'positional' | 'tactical:fork' | 'positional:badBishop' ...
+  mistake: '',
+  sort: 'date-desc',
+  page: '1'
+};
+
+export const SORT_OPTIONS = [
+  { value: 'date-desc', label: 'Newest first' },
+  { value: 'date-asc', label: 'Oldest first' },
+  { value: 'rating-desc', label: 'Highest rated opponent' },
+  { value: 'rating-asc', label: 'Lowest rated opponent' },
+  { value: 'mistakes-desc', label: 'Most mistakes' },
+  { value: 'opening-asc', label: 'Opening A–Z' }
+];
+
+export const filtersFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+  Object.keys(DEFAULT_FILTERS).forEach((key) => {
+    if (params.has(key)) filters[key] = params.get(key);
+  });
+  if (!SORT_OPTIONS.some(o => o.value === filters.sort)) filters.sort = DEFAULT_FILTERS.sort;
+  return filters;
+};
+
+// Query string without the leading '?'; only non-default values are written
+export const filtersToSearch = (filters) => {
+  const params = new URLSearchParams();
+  Object.keys(DEFAULT_FILTERS).forEach((key) => {
+    if (filters[key] && filters[key] !== DEFAULT_FILTERS[key]) params.set(key, filters[key]);
+  });
+  return params.toString();
+};
+
+export const hasActiveFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS).some(
+    key => key !== 'sort' && key !== 'page' && filters[key] !== DEFAULT_FILTERS[key]
+  );
+
+const mistakeKey = m =>
+  `${m.mistakeType}:${m.mistakeType === 'tactical' ? m.tacticType : m.positionalType}`;
+
+// Values present in the data, for the filter dropdowns
+export const filterOptions = (games) => {
+  const openings = new Set();
+  const timeControls = new Set();
+  const mistakes = new Set();
+  games.forEach((game) => {
+    if (game.opening) openings.add(game.opening);
+    if (game.timeControl) timeControls.add(game.timeControl);
+    if (formatTimeControl(game)) timeControls.add(formatTimeControl(game));
+    (game.mistakes || []).forEach(m => mistakes.add(mistakeKey(m)));
+  });
+  const sorted = set => [...set].sort((a, b) => a.localeCompare(b));
+  return {
+    openings: sorted(openings),
+    timeControls: sorted(timeControls),
+    mistakes: sorted(mistakes)
+  };
+};
+
+const matchesText = (game, words) => {
+  if (!words.length) return true;
+  const haystack = [game.opening, ...(game.mistakes || []).map(m => m.note)]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase();
+  return words.every(word => haystack.includes(word));
+};
+
+const matchesMistake = (game, filter) => {
+  if (!filter) return true;
+  return (game.mistakes || []).some(m =>
+    filter.includes(':') ? mistakeKey(m) === filter : m.mistakeType === filter
+  );
+};
+
+const matchesRating = (game, min, max) => {
+  if (min === '' && max === '') return true;
+  const rating = Number(game.opponentRating);
+  if (game.opponentRating === '' || Number.isNaN(rating)) return false;
+  return (min === '' || rating >= Number(min)) && (max === '' || rating <= Number(max));
+};
+
+export const filterGames = (games, filters) => {
+  const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+  return games.filter(game =>
+    (!filters.from || game.date >= filters.from) &&
+    (!filters.to || game.date <= filters.to) &&
+    (!filters.result || game.result === filters.result) &&
+    (!filters.color || game.color === filters.color) &&
+    (!filters.timeControl ||
+      game.timeControl === filters.timeControl ||
+      formatTimeControl(game) === filters.timeControl) &&
+    (!filters.opening || game.opening === filters.opening) &&
+    matchesRating(game, filters.ratingMin, filters.ratingMax) &&
+    matchesMistake(game, filters.mistake) &&
+    matchesText(game, words)
+  );
+};
+
+const rating = game => (game.opponentRating === '' ? NaN : Number(game.opponentRating));
+
+const COMPARATORS = {
+  'date-desc': (a, b) => b.date.localeCompare(a.date),
+  'date-asc': (a, b) => a.date.localeCompare(b.date),
+  // Games without a rating go last either way
+  'rating-desc': (a, b) => (rating(b) || -Infinity) - (rating(a) || -Infinity),
+  'rating-asc': (a, b) => (rating(a) || Infinity) - (rating(b) || Infinity),
+  'mistakes-desc': (a, b) => (b.mistakes || []).length - (a.mistakes || []).length,
+  'opening-asc': (a, b) => (a.opening || '').localeCompare(b.opening || '')
+};
+
+// Ties fall back to the most recently logged game first
+export const sortGames = (games, sort) => {
+  const compare = COMPARATORS[sort] || COMPARATORS[DEFAULT_FILTERS.sort];
+  return [...games].sort((a, b) => compare(a, b) || b.id - a.id);
+};
+
+// Returns { items, page, pageCount }; out-of-range pages are clamped
+export const paginate = (items, page, size = PAGE_SIZE) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / size));
+  const current = Math.min(Math.max(1, Number(page) || 1), pageCount);
+  return {
+    items: items.slice((current - 1) * size, current * size),
+    page: current,
+    pageCount
+  };
+};
@@ -0,0 +1,141 @@
+import { pgnClocks } from './clock.js';
+import { parsePgn } from './pgn.js';
+import { parseTimeControlTag, timeControlCategory, noTimeControl } from './timeControl.js';
+
+/**
+ * Schema migrations for stored game records
+ * - Every record carries `schemaVersion`; records without one are version 0
+ * - MIGRATIONS[n] upgrades a record from version n to n + 1 and must be pure
+ * - A failing step raises MigrationError and nothing is written back
+ */
+
+export class MigrationError extends Error {
+  constructor(message, recordId, version) {
+    super(message);
+    this.name = 'MigrationError';
+    this.recordId = recordId;
+    this.version = version;
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    description: 'Fill optional game fields that older records may lack',
+    up: (game) => ({
+      ...game,
+      opponentRating: game.opponentRating ?? '',
+      opening: game.opening ?? '',
+      gameLink: game.gameLink || '',
+      pgn: game.pgn || '',
+      mistakes: Array.isArray(game.mistakes) ? game.mistakes : []
+    })
+  },
+  {
+    description: 'Give every mistake the move-link and phase-source fields',
+    up: (game) => ({
+      ...game,
+      mistakes: game.mistakes.map((m, i) => ({
+        note: '',
+        timePressure: false,
+        ply: null,
+        san: '',
+        fen: '',
+        betterMove: '',
+        ...m,
+        id: m.id ?? game.id + i + 1,
+        phaseSource: m.phaseSource || 'manual'
+      }))
+    })
+  },
+  {
+    description: 'Add the optional my-rating field',
+    up: (game) => ({ ...game, myRating: game.myRating ?? '' })
+  },
+  {
+    description: 'Give every mistake a severity, clock time and root cause',
+    up: (game) => {
+      // Engine classifications and [%clk] comments fill in what they can
+      const analysed = game.analysis && Array.isArray(game.analysis.moves) ? game.analysis.moves : [];
+      const clocks = pgnClocks(game.pgn);
+      return {
+        ...game,
+        mistakes: game.mistakes.map((m) => {
+          const move = m.ply ? analysed.find(a => a.ply === m.ply) : null;
+          return {
+            severity: (move && move.classification) || 'mistake',
+            clockSeconds: m.ply && clocks[m.ply] !== undefined ? clocks[m.ply] : null,
+            rootCause: '',
+            ...m
+          };
+        })
+      };
+    }
+  },
+  {
+    description: 'Store the real time control from the PGN TimeControl tag',
+    up: (game) => {
+      let clock = null;
+      try {
+        clock = game.pgn ? parseTimeControlTag(parsePgn(game.pgn).tags.TimeControl) : null;
+      } catch {
+        // An unreadable PGN just leaves the clock unknown
+      }
+      if (!clock) return { ...noTimeControl(), ...game };
+      // The old dropdown had no bullet or daily, so the tag decides the category
+      return { ...game, ...clock, timeControl: timeControlCategory(clock) };
+    }
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Upgrade one record to the current schema.
+ * Returns { record, changed }; throws MigrationError if a step fails or the
+ * record comes from a newer version of the app.
+ */
+export const migrateGame = (game) => {
+  if (!game || typeof game !== 'object') {
+    throw new MigrationError('Stored record is not an object', undefined, undefined);
+  }
+
+  const from = Number.isInteger(game.schemaVersion) ? game.schemaVersion : 0;
+  if (from > CURRENT_SCHEMA_VERSION) {
+    throw new MigrationError(
+      `Game ${game.id} was saved by a newer version of the app (schema ${from})`,
+      game.id,
+      from
+    );
+  }
+  if (from === CURRENT_SCHEMA_VERSION) return { record: game, changed: false };
+
+  let record = game;
+  for (let version = from; version < CURRENT_SCHEMA_VERSION; version++) {
+    try {
+      record = { ...MIGRATIONS[version].up(record), schemaVersion: version + 1 };
+    } catch (err) {
+      throw new MigrationError(
+        `Could not upgrade game ${game.id} to schema ${version + 1} (${MIGRATIONS[version].description}): ${err.message}`,
+        game.id,
+        version
+      );
+    }
+  }
+  return { record, changed: true };
+};
+
+/**
+ * Upgrade a list of records.
+ * Returns { games, changed } where `changed` holds only the records that need
+ * writing back. Throws on the first failure so callers can leave storage alone.
+ */
+export const migrateGames = (records) => {
+  const games = [];
+  const changed = [];
+  records.forEach((game) => {
+    const result = migrateGame(game);
+    games.push(result.record);
+    if (result.changed) changed.push(result.record);
+  });
+  return { games, changed };
+};
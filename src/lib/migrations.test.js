@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  MigrationError,
+  migrateGame,
+  migrateGames
+} from './migrations.js';
+
+// A record as the very first version of the app stored it
+const v0Game = () => ({
+  id: 1000,
+  date: '2024-03-15',
+  color: 'white',
+  result: 'win',
+  timeControl: 'blitz',
+  mistakes: [{ mistakeType: 'tactical', tacticType: 'fork', gamePhase: 'middlegame' }]
+});
+
+const PGN = [
+  '[TimeControl "60+1"]',
+  '',
+  '1. e4 {[%clk 0:01:00]} e5 {[%clk 0:00:59]} 2. Qh5 {[%clk 0:00:55]} Nc6 *'
+].join('\n');
+
+// Run a record through the steps before `version`
+const upTo = (game, version) => MIGRATIONS.slice(0, version).reduce((g, step) => step.up(g), game);
+
+describe('MIGRATIONS[0]: optional game fields', () => {
+  it('fills the fields a v0 record lacks', () => {
+    const game = MIGRATIONS[0].up(v0Game());
+    expect(game).toMatchObject({ opponentRating: '', opening: '', gameLink: '', pgn: '' });
+    expect(game.mistakes).toHaveLength(1);
+  });
+
+  it('keeps values that are there and repairs a missing mistake list', () => {
+    const game = MIGRATIONS[0].up({ ...v0Game(), opening: 'Italian Game', mistakes: undefined });
+    expect(game.opening).toBe('Italian Game');
+    expect(game.mistakes).toEqual([]);
+  });
+});
+
+describe('MIGRATIONS[1]: mistake move links and phase source', () => {
+  it('gives v0 mistakes ids, link fields and a manual phase source', () => {
+    const [mistake] = upTo(v0Game(), 2).mistakes;
+    expect(mistake).toMatchObject({
+      id: 1001,
+      note: '',
+      timePressure: false,
+      ply: null,
+      san: '',
+      fen: '',
+      betterMove: '',
+      phaseSource: 'manual',
+      tacticType: 'fork'
+    });
+  });
+
+  it('keeps an existing id and inferred phase source', () => {
+    const game = { ...upTo(v0Game(), 1), mistakes: [{ id: 7, phaseSource: 'inferred' }] };
+    expect(MIGRATIONS[1].up(game).mistakes[0]).toMatchObject({ id: 7, phaseSource: 'inferred' });
+  });
+});
+
+describe('MIGRATIONS[2]: my rating', () => {
+  it('adds an empty my-rating to a v0 record', () => {
+    expect(upTo(v0Game(), 3).myRating).toBe('');
+  });
+
+  it('keeps a recorded rating', () => {
+    expect(MIGRATIONS[2].up({ ...upTo(v0Game(), 2), myRating: '1500' }).myRating).toBe('1500');
+  });
+});
+
+describe('MIGRATIONS[3]: severity, clock time and root cause', () => {
+  it('defaults a v0 mistake without a move link', () => {
+    const [mistake] = upTo(v0Game(), 4).mistakes;
+    expect(mistake).toMatchObject({ severity: 'mistake', clockSeconds: null, rootCause: '' });
+  });
+
+  it('reads severity from the analysis and the clock from the PGN', () => {
+    const game = {
+      ...upTo({ ...v0Game(), pgn: PGN }, 3),
+      analysis: { moves: [{ ply: 3, classification: 'blunder' }] },
+      mistakes: [{ id: 1, ply: 3, san: 'Qh5' }]
+    };
+    expect(MIGRATIONS[3].up(game).mistakes[0]).toMatchObject({ severity: 'blunder', clockSeconds: 55 });
+  });
+});
+
+describe('MIGRATIONS[4]: real time controls', () => {
+  it('leaves the clock unknown on a v0 record without a PGN', () => {
+    const game = upTo(v0Game(), 5);
+    expect(game).toMatchObject({
+      timeControl: 'blitz',
+      baseSeconds: null,
+      incrementSeconds: null,
+      secondsPerMove: null
+    });
+  });
+
+  it('takes the clock and category from the TimeControl tag', () => {
+    const game = MIGRATIONS[4].up({ ...upTo(v0Game(), 4), pgn: PGN });
+    expect(game).toMatchObject({ timeControl: 'bullet', baseSeconds: 60, incrementSeconds: 1 });
+  });
+
+  it('survives an unreadable PGN', () => {
+    const game = MIGRATIONS[4].up({ ...upTo(v0Game(), 4), pgn: '1. e4 ((' });
+    expect(game.baseSeconds).toBeNull();
+  });
+});
+
+describe('migrateGame', () => {
+  it('upgrades a v0 record to the current schema', () => {
+    const { record, changed } = migrateGame(v0Game());
+    expect(changed).toBe(true);
+    expect(record.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  it('leaves a current record alone', () => {
+    const { record } = migrateGame(v0Game());
+    expect(migrateGame(record)).toEqual({ record, changed: false });
+  });
+
+  it('throws MigrationError when a step fails', () => {
+    // Step 1 expects the mistake list step 0 guarantees
+    const broken = { ...v0Game(), schemaVersion: 1, mistakes: null };
+    expect(() => migrateGame(broken)).toThrow(MigrationError);
+    try {
+      migrateGame(broken);
+    } catch (err) {
+      expect(err).toMatchObject({ recordId: 1000, version: 1 });
+    }
+  });
+
+  it('throws MigrationError for a record from a newer schema', () => {
+    const future = { ...v0Game(), schemaVersion: CURRENT_SCHEMA_VERSION + 1 };
+    expect(() => migrateGame(future)).toThrow(/newer version/);
+  });
+
+  it('throws MigrationError for a record that is not an object', () => {
+    expect(() => migrateGame(null)).toThrow(MigrationError);
+  });
+});
+
+describe('migrateGames', () => {
+  it('reports only the records that changed', () => {
+    const current = migrateGame(v0Game()).record;
+    const { games, changed } = migrateGames([current, { ...v0Game(), id: 2000 }]);
+    expect(games).toHaveLength(2);
+    expect(changed.map(g => g.id)).toEqual([2000]);
+  });
+});
@@ -0,0 +1,70 @@
+import { normalizeOpening, tableEco } from './eco.js';
+import { timeControlKey } from './timeControl.js';
+
+/**
+ * Opening performance
+ * - Opening names are normalised through the ECO table (lib/eco.js), so
+ *   "Sicilian Defence", "B90" and "Sicilian Defense: Najdorf Variation" all
+ *   count towards the Sicilian family
+ * - Score is wins + ½ draws, as a percentage of games
+ * - Stats can be narrowed to one colour and/or time control
+ */
+
+const emptyTally = () => ({ games: 0, wins: 0, draws: 0, losses: 0 });
+
+const addResult = (tally, result) => {
+  tally.games++;
+  if (result === 'win') tally.wins++;
+  else if (result === 'draw') tally.draws++;
+  else if (result === 'loss') tally.losses++;
+};
+
+const withScore = tally => ({
+  ...tally,
+  score: tally.games ? ((tally.wins + tally.draws / 2) / tally.games) * 100 : 0
+});
+
+const byGamesThenName = key => (a, b) => b.games - a.games || String(a[key]).localeCompare(String(b[key]));
+
+/**
+ * Opening families with their variations, most played first:
+ * [{ family, eco, games, wins, draws, losses, score,
+ *    variations: [{ variation, eco, games, wins, draws, losses, score }] }].
+ * A variation of null collects games where only the family is known.
+ * `color` ('white'|'black') and `timeControl` narrow the games when set;
+ * `timeControl` is a category or an exact control as `grouping` says.
+ */
+export const openingStats = (games, { color = '', timeControl = '', grouping = 'category' } = {}) => {
+  const families = {};
+  games
+    .filter(
+      g =>
+        (!color || g.color === color) &&
+        (!timeControl || timeControlKey(g, grouping) === timeControl)
+    )
+    .forEach((game) => {
+      const { family, variation } = normalizeOpening(game.opening);
+      const node = (families[family] = families[family] || {
+        ...emptyTally(),
+        family,
+        eco: tableEco(family),
+        variations: {}
+      });
+      addResult(node, game.result);
+
+      const key = variation || '';
+      const child = (node.variations[key] = node.variations[key] || {
+        ...emptyTally(),
+        variation,
+        eco: tableEco(family, variation)
+      });
+      addResult(child, game.result);
+    });
+
+  return Object.values(families)
+    .map(node => ({
+      ...withScore(node),
+      variations: Object.values(node.variations).map(withScore).sort(byGamesThenName('variation'))
+    }))
+    .sort(byGamesThenName('family'));
+};
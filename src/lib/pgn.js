@@ -0,0 +1,505 @@
+import { parseTimeControlTag, timeControlCategory } from './timeControl.js';
+
+/**
+ * PGN parsing
+ * - Tag pairs, SAN movetext, {comments}, ; comments, NAGs and (variations)
+ * - Errors carry the line/column where parsing stopped
+ * - Helpers map the Seven Tag Roster onto the game form fields
+ */
+
+export class PgnParseError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'PgnParseError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+export const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Traditional suffix annotations and their NAG equivalents
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+const SAN_PATTERN =
+  /^(?:O-O(?:-O)?|[KQRBN][a-h]?[1-8]?x?[a-h][1-8]|[a-h](?:x[a-h])?[1-8](?:=?[QRBN])?|--)[+#]?$/;
+
+const isSymbolStart = (ch) => /[A-Za-z0-9]/.test(ch);
+const isSymbolChar = (ch) => /[A-Za-z0-9_+#=:/-]/.test(ch);
+
+/* ----------------------------- TOKENIZER ----------------------------- */
+
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = () => {
+    if (text[i] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    i++;
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    const start = { line, column };
+
+    if (/\s/.test(ch)) {
+      advance();
+      continue;
+    }
+
+    // Escape mechanism: a '%' in the first column hides the whole line
+    if (ch === '%' && column === 1) {
+      while (i < text.length && text[i] !== '\n') advance();
+      continue;
+    }
+
+    if (ch === ';') {
+      advance();
+      let value = '';
+      while (i < text.length && text[i] !== '\n') {
+        value += text[i];
+        advance();
+      }
+      tokens.push({ type: 'comment', value: value.trim(), ...start });
+      continue;
+    }
+
+    if (ch === '{') {
+      advance();
+      let value = '';
+      while (i < text.length && text[i] !== '}') {
+        value += text[i];
+        advance();
+      }
+      if (i >= text.length) {
+        throw new PgnParseError('Unterminated comment', start.line, start.column);
+      }
+      advance();
+      tokens.push({ type: 'comment', value: value.replace(/\s+/g, ' ').trim(), ...start });
+      continue;
+    }
+
+    if (ch === '"') {
+      advance();
+      let value = '';
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\n') {
+          throw new PgnParseError('Unterminated string', start.line, start.column);
+        }
+        if (text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+          advance();
+        }
+        value += text[i];
+        advance();
+      }
+      if (i >= text.length) {
+        throw new PgnParseError('Unterminated string', start.line, start.column);
+      }
+      advance();
+      tokens.push({ type: 'string', value, ...start });
+      continue;
+    }
+
+    if (ch === '$') {
+      advance();
+      let digits = '';
+      while (i < text.length && /[0-9]/.test(text[i])) {
+        digits += text[i];
+        advance();
+      }
+      if (!digits) {
+        throw new PgnParseError('Expected a number after "$"', start.line, start.column);
+      }
+      tokens.push({ type: 'nag', value: Number(digits), ...start });
+      continue;
+    }
+
+    if (ch === '!' || ch === '?') {
+      let value = '';
+      while (i < text.length && (text[i] === '!' || text[i] === '?')) {
+        value += text[i];
+        advance();
+      }
+      if (SUFFIX_NAGS[value] === undefined) {
+        throw new PgnParseError(`Unknown annotation "${value}"`, start.line, start.column);
+      }
+      tokens.push({ type: 'nag', value: SUFFIX_NAGS[value], ...start });
+      continue;
+    }
+
+    if ('[]().*'.includes(ch)) {
+      advance();
+      tokens.push({ type: ch, value: ch, ...start });
+      continue;
+    }
+
+    if (isSymbolStart(ch)) {
+      let value = '';
+      while (i < text.length && isSymbolChar(text[i])) {
+        value += text[i];
+        advance();
+      }
+      tokens.push({ type: 'symbol', value, ...start });
+      continue;
+    }
+
+    throw new PgnParseError(`Unexpected character "${ch}"`, start.line, start.column);
+  }
+
+  tokens.push({ type: 'eof', value: '', line, column });
+  return tokens;
+};
+
+/* ----------------------------- PARSER ----------------------------- */
+
+// Ply number (1 = White's first move) of the first move, honouring a [FEN] tag
+const startingPly = (tags) => {
+  if (!tags.FEN) return 1;
+  const [, side, , , , fullmove] = tags.FEN.trim().split(/\s+/);
+  const moveNumber = Math.max(1, parseInt(fullmove, 10) || 1);
+  return (moveNumber - 1) * 2 + (side === 'b' ? 2 : 1);
+};
+
+const normaliseSan = (san) => san.replace(/^0-0-0/, 'O-O-O').replace(/^0-0/, 'O-O');
+
+const createParser = (tokens) => {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const fail = (message, token = peek()) => {
+    throw new PgnParseError(message, token.line, token.column);
+  };
+  const describe = (token) => (token.type === 'eof' ? 'end of input' : `"${token.value}"`);
+
+  const parseTags = () => {
+    const tags = {};
+    while (peek().type === '[') {
+      next();
+      const name = next();
+      if (name.type !== 'symbol') fail('Expected a tag name', name);
+      const value = next();
+      if (value.type !== 'string') fail(`Expected a quoted value for tag "${name.value}"`, value);
+      const close = next();
+      if (close.type !== ']') fail(`Expected "]" to close tag "${name.value}"`, close);
+      tags[name.value] = value.value;
+    }
+    return tags;
+  };
+
+  // Parses moves until a result, ")" or the next game; variations recurse
+  const parseLine = (firstPly, inVariation) => {
+    const moves = [];
+    let pendingComments = [];
+    const leadingComments = [];
+
+    for (;;) {
+      const token = peek();
+      const last = moves[moves.length - 1];
+
+      if (token.type === 'eof' || token.type === '[') {
+        if (inVariation) fail('Unterminated variation');
+        break;
+      }
+      if (token.type === ')') {
+        if (!inVariation) fail('Unexpected ")" outside a variation');
+        break;
+      }
+      if (token.type === '*' || (token.type === 'symbol' && RESULTS.includes(token.value))) {
+        if (inVariation) fail('Game result inside a variation');
+        break;
+      }
+
+      next();
+
+      if (token.type === 'comment') {
+        if (last) last.comments.push(token.value);
+        else if (inVariation) pendingComments.push(token.value);
+        else leadingComments.push(token.value);
+      } else if (token.type === 'nag') {
+        if (!last) fail('Annotation before any move', token);
+        last.nags.push(token.value);
+      } else if (token.type === '(') {
+        if (!last) fail('Variation before any move', token);
+        last.variations.push(parseLine(last.ply, true).moves);
+        const close = next();
+        if (close.type !== ')') fail('Expected ")" to close variation', close);
+      } else if (token.type === '.') {
+        // Move number indicator dots, e.g. "12." or "12..."
+      } else if (token.type === 'symbol' && /^\d+$/.test(token.value)) {
+        // Move number; the actual ply is tracked from the move sequence
+      } else if (token.type === 'symbol' && SAN_PATTERN.test(normaliseSan(token.value))) {
+        const ply = firstPly + moves.length;
+        moves.push({
+          ply,
+          moveNumber: Math.ceil(ply / 2),
+          color: ply % 2 === 1 ? 'w' : 'b',
+          san: normaliseSan(token.value),
+          nags: [],
+          commentsBefore: pendingComments,
+          comments: [],
+          variations: []
+        });
+        pendingComments = [];
+      } else {
+        fail(`Unexpected ${describe(token)} in movetext`, token);
+      }
+    }
+
+    return { moves, comments: leadingComments };
+  };
+
+  const parseGame = () => {
+    const start = peek();
+    const tags = parseTags();
+    const { moves, comments } = parseLine(startingPly(tags), false);
+
+    let result = tags.Result && RESULTS.includes(tags.Result) ? tags.Result : '*';
+    const token = peek();
+    if (token.type === '*' || (token.type === 'symbol' && RESULTS.includes(token.value))) {
+      next();
+      result = token.value;
+    }
+
+    if (Object.keys(tags).length === 0 && moves.length === 0 && comments.length === 0) {
+      fail('No PGN game found', start);
+    }
+
+    return { tags, moves, comments, result };
+  };
+
+  return { peek, fail, describe, parseGame };
+};
+
+/**
+ * Parse a single PGN game.
+ * Returns { tags, moves, comments, result } where each move is
+ * { ply, moveNumber, color, san, nags, commentsBefore, comments, variations }.
+ * Throws PgnParseError for malformed input.
+ */
+export const parsePgn = (text) => {
+  const parser = createParser(tokenize(text || ''));
+  const game = parser.parseGame();
+  const rest = parser.peek();
+  if (rest.type !== 'eof') {
+    parser.fail(`Unexpected ${parser.describe(rest)} after the end of the game`, rest);
+  }
+  return game;
+};
+
+/* ----------------------------- TAGS -> GAME FORM ----------------------------- */
+
+// "2024.03.15" -> "2024-03-15"; partial dates with "??" are ignored
+export const pgnDateToIso = (value) => {
+  const match = /^(\d{4})\.(\d{2})\.(\d{2})$/.exec((value || '').trim());
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const sameName = (a, b) =>
+  !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Map a parsed PGN game onto gameForm fields.
+ * `username` decides which side we played; without a match the color (and
+ * everything derived from it) is left for the user to fill in.
+ * Returns { fields, warnings }.
+ */
+export const gameFieldsFromPgn = (game, username) => {
+  const { tags } = game;
+  const fields = {};
+  const warnings = [];
+
+  const date = pgnDateToIso(tags.Date) || pgnDateToIso(tags.UTCDate);
+  if (date) fields.date = date;
+  else warnings.push('No complete [Date] tag found.');
+
+  let color = null;
+  if (sameName(tags.White, username)) color = 'white';
+  else if (sameName(tags.Black, username)) color = 'black';
+
+  if (color) {
+    fields.color = color;
+    const opponentElo = color === 'white' ? tags.BlackElo : tags.WhiteElo;
+    if (/^\d+$/.test(opponentElo || '')) fields.opponentRating = opponentElo;
+    const myElo = color === 'white' ? tags.WhiteElo : tags.BlackElo;
+    if (/^\d+$/.test(myElo || '')) fields.myRating = myElo;
+
+    const result = RESULTS.includes(tags.Result) ? tags.Result : game.result;
+    if (result === '1/2-1/2') fields.result = 'draw';
+    else if (result === '1-0') fields.result = color === 'white' ? 'win' : 'loss';
+    else if (result === '0-1') fields.result = color === 'black' ? 'win' : 'loss';
+  } else if (username) {
+    warnings.push(`"${username}" is neither White (${tags.White || '?'}) nor Black (${tags.Black || '?'}).`);
+  } else {
+    warnings.push('Set your username to detect your color, rating and result.');
+  }
+
+  if (tags.Opening && tags.Opening !== '?') fields.opening = tags.Opening;
+  else if (tags.ECO && tags.ECO !== '?') fields.opening = tags.ECO;
+
+  const clock = parseTimeControlTag(tags.TimeControl);
+  if (clock) Object.assign(fields, clock, { timeControl: timeControlCategory(clock) });
+
+  const link = [tags.Link, tags.Site].find(v => /^https?:\/\//.test(v || ''));
+  if (link) fields.gameLink = link;
+
+  return { fields, warnings };
+};
+
+/* ----------------------------- MULTI-GAME FILES ----------------------------- */
+
+/**
+ * Split a PGN database (several games in one file) into the raw text of each
+ * game. A game boundary is a tag section starting on a new line after some
+ * movetext; brackets inside {comments} such as [%clk] are ignored.
+ */
+export const splitPgnGames = (text) => {
+  const source = text || '';
+  const games = [];
+  let start = 0;
+  let sawMovetext = false;
+  let lineStart = true;
+  let i = 0;
+
+  const pushGame = (end) => {
+    const chunk = source.slice(start, end).trim();
+    if (chunk) games.push(chunk);
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '{') {
+      const close = source.indexOf('}', i);
+      i = close === -1 ? source.length : close + 1;
+      sawMovetext = true;
+      lineStart = false;
+      continue;
+    }
+
+    if (ch === ';' || (ch === '%' && lineStart)) {
+      while (i < source.length && source[i] !== '\n') i++;
+      continue;
+    }
+
+    if (ch === '[') {
+      if (lineStart && sawMovetext) {
+        pushGame(i);
+        start = i;
+        sawMovetext = false;
+      }
+      // Skip the tag pair, including any "]" inside its quoted value
+      let inString = false;
+      while (i < source.length && source[i] !== '\n') {
+        if (source[i] === '\\' && inString) i++;
+        else if (source[i] === '"') inString = !inString;
+        else if (source[i] === ']' && !inString) break;
+        i++;
+      }
+      i++;
+      lineStart = false;
+      continue;
+    }
+
+    if (ch === '\n') {
+      lineStart = true;
+    } else if (!/\s/.test(ch)) {
+      sawMovetext = true;
+      lineStart = false;
+    }
+    i++;
+  }
+
+  pushGame(source.length);
+  return games;
+};
+
+/* ----------------------------- NOTATION ----------------------------- */
+
+// "12. Nf3" / "12... Nxe4" for a ply number (1 = White's first move)
+export const moveLabel = (ply, san) =>
+  `${Math.ceil(ply / 2)}${ply % 2 === 1 ? '.' : '...'} ${san}`;
+
+/* ----------------------------- WRITER ----------------------------- */
+
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+const escapeTagValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+// Braces can't be escaped inside PGN comments, so drop the closing one
+const commentToken = (text) => `{ ${String(text).replace(/\}/g, ')').trim()} }`;
+
+const lineTokens = (moves) => {
+  const tokens = [];
+  let needNumber = true;
+
+  moves.forEach((move) => {
+    move.commentsBefore.forEach((c) => {
+      tokens.push(commentToken(c));
+      needNumber = true;
+    });
+    if (move.color === 'w') tokens.push(`${move.moveNumber}.`);
+    else if (needNumber) tokens.push(`${move.moveNumber}...`);
+    tokens.push(move.san);
+    move.nags.forEach(nag => tokens.push(`$${nag}`));
+    needNumber = false;
+
+    move.comments.forEach((c) => {
+      tokens.push(commentToken(c));
+      needNumber = true;
+    });
+    move.variations.forEach((variation) => {
+      if (variation.length === 0) return;
+      const inner = lineTokens(variation);
+      inner[0] = `(${inner[0]}`;
+      inner[inner.length - 1] = `${inner[inner.length - 1]})`;
+      tokens.push(...inner);
+      needNumber = true;
+    });
+  });
+
+  return tokens;
+};
+
+// Join tokens into lines of at most `width` characters
+const wrapTokens = (tokens, width = 79) => {
+  const lines = [];
+  let line = '';
+  tokens.forEach((token) => {
+    if (line && line.length + 1 + token.length > width) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  });
+  if (line) lines.push(line);
+  return lines.join('\n');
+};
+
+/**
+ * Serialise a game in the shape parsePgn returns back to PGN text, with the
+ * Seven Tag Roster first and movetext wrapped below 80 columns.
+ */
+export const writePgn = ({ tags, moves, comments = [], result = '*' }) => {
+  const allTags = { ...tags, Result: result };
+  const names = [
+    ...SEVEN_TAG_ROSTER,
+    ...Object.keys(allTags).filter(name => !SEVEN_TAG_ROSTER.includes(name))
+  ];
+  const tagSection = names
+    .map(name => {
+      const fallback = name === 'Date' ? '????.??.??' : '?';
+      return `[${name} "${escapeTagValue(allTags[name] ?? fallback)}"]`;
+    })
+    .join('\n');
+
+  const movetext = wrapTokens([...comments.map(commentToken), ...lineTokens(moves), result]);
+  return `${tagSection}\n\n${movetext}\n`;
+};
@@ -0,0 +1,142 @@
+import { parsePgn, writePgn, moveLabel } from './pgn.js';
+import { parseFen, sanToMove, moveToSan } from './chess.js';
+import { mistakeLabel } from './taxonomy.js';
+import { ROOT_CAUSES } from './games.js';
+import { formatClock } from './clock.js';
+import { timeControlTag } from './timeControl.js';
+
+/**
+ * Annotated PGN export
+ * - Each game's stored PGN, or a header-only stub built from the form fields
+ * - Mistakes become NAGs and { comments } on the linked move (plus the better
+ *   move as a variation), or a game-level comment when no move is linked
+ * - Tracker metadata is written as extra tags so nothing is lost on the way out
+ */
+
+const RESULT_TAGS = {
+  white: { win: '1-0', loss: '0-1', draw: '1/2-1/2' },
+  black: { win: '0-1', loss: '1-0', draw: '1/2-1/2' }
+};
+
+// NAG for a logged mistake by severity: $6 "?!", $2 "?", $4 "??"
+const SEVERITY_NAGS = { inaccuracy: 6, mistake: 2, blunder: 4 };
+
+export const mistakeNag = mistake => SEVERITY_NAGS[mistake.severity] || 2;
+
+const sameSan = (a, b) => (a || '').replace(/[+#]$/, '') === (b || '').replace(/[+#]$/, '');
+
+const mistakeComment = (mistake, taxonomy) => {
+  const kind = mistake.mistakeType === 'tactical' ? 'Tactical' : 'Positional';
+  const category = mistakeLabel(taxonomy, mistake);
+  const severity = mistake.severity || 'mistake';
+  const cause = ROOT_CAUSES.find(c => c.value === mistake.rootCause);
+  const clock = formatClock(mistake.clockSeconds);
+  const details = [
+    mistake.gamePhase,
+    clock && `${clock} left`,
+    cause && cause.label.toLowerCase()
+  ]
+    .filter(Boolean)
+    .join(', ');
+  const parts = [`${kind} ${severity}: ${category}${details ? ` (${details})` : ''}.`];
+  if (mistake.note) parts.push(mistake.note.trim());
+  if (mistake.betterMove) parts.push(`Better was ${mistake.betterMove}.`);
+  return parts.join(' ');
+};
+
+const stubGame = (game, username) => {
+  const me = username || 'Me';
+  const white = game.color === 'white' ? me : 'Opponent';
+  const black = game.color === 'white' ? 'Opponent' : me;
+  const tags = {
+    Event: '?',
+    Site: game.gameLink || '?',
+    Date: game.date ? game.date.replace(/-/g, '.') : '????.??.??',
+    Round: '?',
+    White: white,
+    Black: black
+  };
+  if (game.opponentRating) {
+    tags[game.color === 'white' ? 'BlackElo' : 'WhiteElo'] = game.opponentRating;
+  }
+  if (game.myRating) {
+    tags[game.color === 'white' ? 'WhiteElo' : 'BlackElo'] = game.myRating;
+  }
+  return { tags, moves: [], comments: [] };
+};
+
+// Attach the mistake to its move when the stored ply/SAN still match the PGN
+const annotateMove = (moves, mistake, taxonomy) => {
+  const move = moves.find(m => m.ply === mistake.ply && sameSan(m.san, mistake.san));
+  if (!move) return false;
+
+  const nag = mistakeNag(mistake);
+  if (!move.nags.includes(nag)) move.nags.push(nag);
+  move.comments.push(mistakeComment(mistake, taxonomy));
+
+  if (mistake.betterMove && mistake.fen) {
+    try {
+      const pos = parseFen(mistake.fen);
+      const better = sanToMove(pos, mistake.betterMove);
+      if (better) {
+        move.variations.push([
+          {
+            ply: move.ply,
+            moveNumber: move.moveNumber,
+            color: move.color,
+            san: moveToSan(pos, better),
+            nags: [],
+            commentsBefore: [],
+            comments: [],
+            variations: []
+          }
+        ]);
+      }
+    } catch {
+      // An unreadable FEN only costs us the variation
+    }
+  }
+  return true;
+};
+
+// `taxonomy` (lib/taxonomy.js) names the mistake categories in comments
+export const gameToAnnotatedPgn = (game, username, taxonomy = []) => {
+  let parsed = null;
+  if (game.pgn && game.pgn.trim()) {
+    try {
+      parsed = parsePgn(game.pgn);
+    } catch {
+      parsed = null;
+    }
+  }
+  const base = parsed || stubGame(game, username);
+  const comments = [...base.comments];
+  if (game.pgn && !parsed) comments.push('Stored PGN could not be parsed and was left out.');
+
+  (game.mistakes || []).forEach((mistake) => {
+    const linked = mistake.ply && annotateMove(base.moves, mistake, taxonomy);
+    if (!linked) {
+      const at = mistake.san ? ` (at ${moveLabel(mistake.ply, mistake.san)})` : '';
+      comments.push(`${mistakeComment(mistake, taxonomy)}${at}`);
+    }
+  });
+
+  const tags = { ...base.tags };
+  if (!tags.Date && game.date) tags.Date = game.date.replace(/-/g, '.');
+  if (!tags.Opening && game.opening) tags.Opening = game.opening;
+  if (!tags.Link && game.gameLink) tags.Link = game.gameLink;
+  if (!tags.TimeControl && timeControlTag(game)) tags.TimeControl = timeControlTag(game);
+  tags.TrackerTimeControl = game.timeControl;
+  tags.TrackerOpening = game.opening || '';
+  tags.TrackerGameLink = game.gameLink || '';
+
+  const result = (RESULT_TAGS[game.color] || RESULT_TAGS.white)[game.result] || base.result || '*';
+  return writePgn({ tags, moves: base.moves, comments, result });
+};
+
+// All games as one PGN database, oldest first
+export const gamesToPgn = (games, username, taxonomy = []) =>
+  [...games]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(game => gameToAnnotatedPgn(game, username, taxonomy))
+    .join('\n');
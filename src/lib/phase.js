@@ -0,0 +1,59 @@
+import { parseFen } from './chess.js';
+
+/**
+ * Game phase inference from a position
+ * - Endgame: few pieces left, or queens traded with a reduced army
+ * - Opening: early moves with most pieces on the board and minors undeveloped
+ * - Everything else is middlegame
+ */
+
+const PIECE_VALUES = { n: 3, b: 3, r: 5, q: 9 };
+
+// Minor pieces still on their starting squares (b1, c1, f1, g1 / b8, c8, f8, g8)
+const MINOR_HOMES = { 57: 'N', 62: 'N', 58: 'B', 61: 'B', 1: 'n', 6: 'n', 2: 'b', 5: 'b' };
+
+export const positionFeatures = (fen) => {
+  const { board, fullmove } = parseFen(fen);
+  let pieces = 0;
+  let material = 0;
+  let queens = 0;
+
+  board.forEach((p) => {
+    if (!p) return;
+    const value = PIECE_VALUES[p.toLowerCase()];
+    if (!value) return;
+    pieces++;
+    material += value;
+    if (p.toLowerCase() === 'q') queens++;
+  });
+
+  const undevelopedMinors = Object.entries(MINOR_HOMES).filter(
+    ([sq, piece]) => board[sq] === piece
+  ).length;
+
+  return { moveNumber: fullmove, pieces, material, queensTraded: queens === 0, undevelopedMinors };
+};
+
+/**
+ * Infer 'opening' | 'middlegame' | 'endgame' for a FEN.
+ * Returns { phase, reason } where reason is a short human-readable explanation.
+ */
+export const inferGamePhase = (fen) => {
+  const f = positionFeatures(fen);
+  const summary = `move ${f.moveNumber}, ${f.material} points of pieces${
+    f.queensTraded ? ', queens traded' : ''
+  }`;
+
+  if (f.pieces <= 6 || (f.queensTraded && f.pieces <= 8)) {
+    return { phase: 'endgame', reason: summary };
+  }
+  if (f.pieces > 10 && (f.moveNumber <= 8 || (f.moveNumber <= 15 && f.undevelopedMinors >= 3))) {
+    return {
+      phase: 'opening',
+      reason: `${summary}, ${f.undevelopedMinors} minor piece${
+        f.undevelopedMinors !== 1 ? 's' : ''
+      } undeveloped`
+    };
+  }
+  return { phase: 'middlegame', reason: summary };
+};
@@ -0,0 +1,165 @@
+import { timeControlKey } from './timeControl.js';
+
+/**
+ * Own rating over time
+ * - A game's rating is its `myRating` when recorded; otherwise it is estimated
+ *   as the performance rating over the PERFORMANCE_WINDOW games of the same
+ *   time control before it, once there are MIN_ESTIMATE_GAMES; a game's own
+ *   result never feeds its estimate
+ * - Performance rating uses the linear rule of thumb:
+ *   average opponent rating + 400 × (wins − losses) / games
+ * - Series are kept per time control; ratings from different pools don't mix
+ */
+
+export const PERFORMANCE_WINDOW = 10;
+// One result alone swings the estimate by ±400
+export const MIN_ESTIMATE_GAMES = 3;
+
+const hasRating = value => value !== '' && value !== null && value !== undefined && !Number.isNaN(Number(value));
+
+const byDate = (a, b) => a.date.localeCompare(b.date) || a.id - b.id;
+
+// Performance rating of `games` against their opponent ratings, or null with
+// fewer than `minGames` rated opponents
+export const performanceRating = (games, minGames = 1) => {
+  const rated = games.filter(g => hasRating(g.opponentRating));
+  if (rated.length === 0 || rated.length < minGames) return null;
+  const average = rated.reduce((s, g) => s + Number(g.opponentRating), 0) / rated.length;
+  const wins = rated.filter(g => g.result === 'win').length;
+  const losses = rated.filter(g => g.result === 'loss').length;
+  return Math.round(average + (400 * (wins - losses)) / rated.length);
+};
+
+/**
+ * Estimated rating for a new game in `timeControl`: the performance rating of
+ * the most recent PERFORMANCE_WINDOW games in that time control, or null.
+ */
+export const estimateMyRating = (games, timeControl) => {
+  const recent = games
+    .filter(g => g.timeControl === timeControl && hasRating(g.opponentRating))
+    .sort(byDate)
+    .slice(-PERFORMANCE_WINDOW);
+  return performanceRating(recent, MIN_ESTIMATE_GAMES);
+};
+
+/**
+ * Rating points per time control (grouped as timeControlKey does), oldest first:
+ * { [timeControl]: [{ id, date, rating, estimated, mistakes }] }.
+ * Games with neither a recorded rating nor MIN_ESTIMATE_GAMES earlier rated
+ * games to estimate from are left out.
+ */
+export const ratingSeries = (games, grouping = 'category') => {
+  const series = {};
+  const played = {};
+  [...games].sort(byDate).forEach((game) => {
+    const key = timeControlKey(game, grouping);
+    const before = played[key] || [];
+    played[key] = [...before, game].slice(-PERFORMANCE_WINDOW);
+
+    let rating = hasRating(game.myRating) ? Number(game.myRating) : null;
+    const estimated = rating === null;
+    if (estimated) rating = performanceRating(before, MIN_ESTIMATE_GAMES);
+    if (rating === null) return;
+
+    (series[key] = series[key] || []).push({
+      id: game.id,
+      date: game.date,
+      rating,
+      estimated,
+      mistakes: (game.mistakes || []).length
+    });
+  });
+  return series;
+};
+
+/**
+ * Rating and mistakes-per-game over the last `windowSize` games of a series
+ * compared with the `windowSize` before, for tying the two together:
+ * { ratingChange, lastMistakes, prevMistakes, estimated } or null if the
+ * series is too short. `estimated` is true when most points are estimates.
+ */
+export const ratingMistakeTrend = (points, windowSize = PERFORMANCE_WINDOW) => {
+  const size = Math.min(windowSize, Math.floor(points.length / 2));
+  if (size < 3) return null;
+  const last = points.slice(-size);
+  const prev = points.slice(-2 * size, -size);
+  const mean = (rows, key) => rows.reduce((s, r) => s + r[key], 0) / rows.length;
+  const window = [...prev, ...last];
+  return {
+    games: size,
+    ratingChange: mean(last, 'rating') - mean(prev, 'rating'),
+    lastMistakes: mean(last, 'mistakes'),
+    prevMistakes: mean(prev, 'mistakes'),
+    estimated: window.filter(p => p.estimated).length > window.length / 2
+  };
+};
+
+/* ----------------------------- RATING DIFFERENCE ----------------------------- */
+
+// Opponents this far from your rating, either way, count as "much" lower/higher
+export const BAND_MARGIN = 150;
+
+export const RATING_BANDS = [
+  { key: 'lower', label: `Much lower (${BAND_MARGIN}+ below)` },
+  { key: 'similar', label: `Similar (within ${BAND_MARGIN})` },
+  { key: 'higher', label: `Much higher (${BAND_MARGIN}+ above)` }
+];
+
+const bandFor = (difference) =>
+  difference < -BAND_MARGIN ? 'lower' : difference > BAND_MARGIN ? 'higher' : 'similar';
+
+// Elo expected score (0-1) for a player rated `mine` against `opponent`
+export const expectedScore = (mine, opponent) => 1 / (1 + 10 ** ((opponent - mine) / 400));
+
+const points = result => (result === 'win' ? 1 : result === 'draw' ? 0.5 : 0);
+
+/**
+ * Results by opponent rating relative to yours, using the recorded or
+ * estimated rating from ratingSeries; games it can't rate yet are skipped,
+ * so no game's expectation is built from its own result. Returns { [band]: { games, score,
+ * expected, drawRate, mistakesPerGame, analysedGames, blundersPerGame } }
+ * with score/expected/drawRate as percentages; bands without games are null.
+ * `blundersPerGame` counts engine-classified blunders in analysed games.
+ */
+export const ratingBandStats = (games) => {
+  const ownRating = {};
+  Object.values(ratingSeries(games)).forEach(series =>
+    series.forEach((p) => {
+      ownRating[p.id] = p.rating;
+    })
+  );
+
+  const rows = { lower: [], similar: [], higher: [] };
+  games.forEach((game) => {
+    const mine = ownRating[game.id];
+    if (mine === undefined || !hasRating(game.opponentRating)) return;
+    const opponent = Number(game.opponentRating);
+    rows[bandFor(opponent - mine)].push({ game, expected: expectedScore(mine, opponent) });
+  });
+
+  return Object.fromEntries(
+    Object.entries(rows).map(([band, list]) => {
+      if (list.length === 0) return [band, null];
+      const n = list.length;
+      const analysed = list.filter(({ game }) => game.analysis && Array.isArray(game.analysis.moves));
+      const side = game => (game.color === 'black' ? 'b' : 'w');
+      const blunders = analysed.reduce(
+        (s, { game }) =>
+          s + game.analysis.moves.filter(m => m.color === side(game) && m.classification === 'blunder').length,
+        0
+      );
+      return [
+        band,
+        {
+          games: n,
+          score: (list.reduce((s, { game }) => s + points(game.result), 0) / n) * 100,
+          expected: (list.reduce((s, r) => s + r.expected, 0) / n) * 100,
+          drawRate: (list.filter(({ game }) => game.result === 'draw').length / n) * 100,
+          mistakesPerGame: list.reduce((s, { game }) => s + (game.mistakes || []).length, 0) / n,
+          analysedGames: analysed.length,
+          blundersPerGame: analysed.length ? blunders / analysed.length : null
+        }
+      ];
+    })
+  );
+};
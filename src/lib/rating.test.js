@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { ratingSeries, ratingBandStats, MIN_ESTIMATE_GAMES } from './rating.js';
+
+const game = (id, result, opponentRating = 1500) => ({
+  id,
+  date: `2024-03-${String(id).padStart(2, '0')}`,
+  timeControl: 'blitz',
+  color: 'white',
+  result,
+  opponentRating: String(opponentRating),
+  myRating: '',
+  mistakes: []
+});
+
+// Three draws against 1500 players: an estimate of 1500 for the next game
+const history = [1, 2, 3].map(id => game(id, 'draw'));
+
+describe('ratingSeries', () => {
+  it("doesn't estimate a game from its own result", () => {
+    const rating = result => ratingSeries([...history, game(4, result)]).blitz.at(-1).rating;
+    expect(rating('win')).toBe(1500);
+    expect(rating('loss')).toBe(1500);
+  });
+
+  it(`leaves out games with fewer than ${MIN_ESTIMATE_GAMES} earlier games to estimate from`, () => {
+    const series = ratingSeries([...history, game(4, 'win')]).blitz;
+    expect(series.map(p => p.id)).toEqual([4]);
+  });
+
+  it('keeps a recorded rating', () => {
+    const series = ratingSeries([{ ...game(1, 'win'), myRating: '1620' }]).blitz;
+    expect(series).toEqual([{ id: 1, date: '2024-03-01', rating: 1620, estimated: false, mistakes: 0 }]);
+  });
+});
+
+describe('ratingBandStats', () => {
+  it('compares a lone win with an expectation from the games before it', () => {
+    const stats = ratingBandStats([...history, game(4, 'win', 1500)]);
+    expect(stats.similar).toMatchObject({ games: 1, score: 100, expected: 50 });
+    expect(stats.lower).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+import { parsePgn } from './pgn.js';
+import { replayGame, INITIAL_FEN } from './chess.js';
+
+/**
+ * Opening tree built from our own games with a PGN, one per colour
+ * - Positions are keyed by board, side to move, castling and en passant, so
+ *   transpositions share a node; move counters are ignored
+ * - Each node counts the games that reached it, their results (score = wins
+ *   + ½ draws) and the logged mistakes made from that position
+ * - Only the first REPERTOIRE_DEPTH plies of each game are walked
+ */
+
+export const REPERTOIRE_DEPTH = 24;
+
+export const positionKey = fen => fen.split(' ').slice(0, 4).join(' ');
+
+export const START_KEY = positionKey(INITIAL_FEN);
+
+const emptyNode = fen => ({
+  fen,
+  games: 0,
+  wins: 0,
+  draws: 0,
+  losses: 0,
+  gameIds: [],
+  mistakes: [],
+  moves: {}
+});
+
+const countResult = (stat, result) => {
+  stat.games++;
+  if (result === 'win') stat.wins++;
+  else if (result === 'draw') stat.draws++;
+  else if (result === 'loss') stat.losses++;
+};
+
+export const nodeScore = stat => (stat.games ? ((stat.wins + stat.draws / 2) / stat.games) * 100 : 0);
+
+const safeReplay = (pgn) => {
+  try {
+    const parsed = parsePgn(pgn);
+    // Games from a set-up position don't belong in the opening tree
+    if (parsed.tags && parsed.tags.FEN) return null;
+    return replayGame(parsed);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Builds { [positionKey]: node } for the games played as `color`, where node
+ * is { fen, games, wins, draws, losses, gameIds, mistakes, moves } and
+ * `moves` maps SAN to { san, move, games, wins, draws, losses, key }, `key`
+ * being the position after the move. `mistakes` holds { gameId, mistake }
+ * for mistakes logged on a move from that position. Games without a
+ * replayable PGN are skipped; the start position is START_KEY.
+ */
+export const buildRepertoire = (games, color, depth = REPERTOIRE_DEPTH) => {
+  const nodes = { [START_KEY]: emptyNode(INITIAL_FEN) };
+
+  games
+    .filter(g => g.color === color && g.pgn)
+    .forEach((game) => {
+      const plies = safeReplay(game.pgn);
+      if (!plies) return;
+      const line = plies.slice(0, depth + 1);
+      const keys = line.map(p => positionKey(p.fen));
+
+      line.forEach((ply, i) => {
+        const key = keys[i];
+        const node = (nodes[key] = nodes[key] || emptyNode(ply.fen));
+        // A repeated position within one game counts once
+        if (node.gameIds[node.gameIds.length - 1] === game.id) return;
+        node.gameIds.push(game.id);
+        countResult(node, game.result);
+
+        const next = line[i + 1];
+        if (!next || !next.move) return;
+        const edge = (node.moves[next.san] = node.moves[next.san] || {
+          san: next.san,
+          move: next.move,
+          games: 0,
+          wins: 0,
+          draws: 0,
+          losses: 0,
+          key: keys[i + 1]
+        });
+        countResult(edge, game.result);
+      });
+
+      (game.mistakes || []).forEach((mistake) => {
+        // A mistake on ply n was made from the position after ply n - 1
+        const before = mistake.ply ? line[mistake.ply - 1] : null;
+        const key = before ? positionKey(before.fen) : mistake.fen ? positionKey(mistake.fen) : null;
+        if (key && nodes[key]) nodes[key].mistakes.push({ gameId: game.id, mistake });
+      });
+    });
+
+  return nodes;
+};
+
+// Moves from a node, most played first
+export const nodeMoves = node =>
+  Object.values(node.moves).sort((a, b) => b.games - a.games || a.san.localeCompare(b.san));
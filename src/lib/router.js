@@ -0,0 +1,61 @@
+/**
+ * Hash routes: deep links, reloads and the back button work on static hosting
+ * (GitHub Pages only ever serves index.html, so the path can't carry the route)
+ * - #/                     dashboard
+ * - #/games/new            add a game
+ * - #/games/:id            game detail
+ * - #/games/:id/edit       edit a game
+ * - #/games/:id/mistakes   log mistakes for a game
+ * - #/history?<filters>    game history, filters as in lib/historyFilters.js
+ * - #/repertoire           opening tree explorer
+ * - #/training             puzzle trainer
+ * - #/categories           mistake taxonomy editor
+ * - #/import, #/backup
+ * Unknown routes fall back to the dashboard.
+ */
+
+const SIMPLE_VIEWS = ['history', 'repertoire', 'training', 'categories', 'import', 'backup'];
+
+// Returns { view, gameId, query }; gameId is a number or null
+export const parseRoute = (hash) => {
+  const raw = (hash || '').replace(/^#/, '');
+  const queryStart = raw.indexOf('?');
+  const path = queryStart === -1 ? raw : raw.slice(0, queryStart);
+  const query = queryStart === -1 ? '' : raw.slice(queryStart + 1);
+  const parts = path.split('/').filter(Boolean);
+  const route = (view, gameId = null) => ({ view, gameId, query: view === 'history' ? query : '' });
+
+  if (parts.length === 1 && SIMPLE_VIEWS.includes(parts[0])) return route(parts[0]);
+  if (parts[0] === 'games') {
+    if (parts[1] === 'new' && parts.length === 2) return route('addGame');
+    const gameId = Number(parts[1]);
+    if (parts[1] && Number.isFinite(gameId)) {
+      if (parts.length === 2) return route('game', gameId);
+      if (parts.length === 3 && parts[2] === 'edit') return route('addGame', gameId);
+      if (parts.length === 3 && parts[2] === 'mistakes') return route('addMistake', gameId);
+    }
+  }
+  return route('dashboard');
+};
+
+// Inverse of parseRoute
+export const routeHash = (view, { gameId = null, query = '' } = {}) => {
+  switch (view) {
+    case 'game':
+      return `#/games/${gameId}`;
+    case 'addGame':
+      return gameId === null ? '#/games/new' : `#/games/${gameId}/edit`;
+    case 'addMistake':
+      return `#/games/${gameId}/mistakes`;
+    case 'history':
+      return query ? `#/history?${query}` : '#/history';
+    case 'repertoire':
+    case 'training':
+    case 'categories':
+    case 'import':
+    case 'backup':
+      return `#/${view}`;
+    default:
+      return '#/';
+  }
+};
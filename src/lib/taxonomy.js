@@ -0,0 +1,202 @@
+/**
+ * Mistake taxonomy: the tactical and positional categories a mistake can be
+ * filed under, stored in the IndexedDB `taxonomy` store (lib/db.js)
+ * - A category is { id, type, key, label, description, group, tip, order };
+ *   `type` is 'tactical' | 'positional' and mistakes store `key` in
+ *   tacticType / positionalType
+ * - `group` is the parent grouping shown in option lists and the editor
+ * - `tip` finishes the sentence "Drill …" in the insights
+ * - Renaming a category re-keys it; renaming and merging move existing
+ *   mistakes along, so stored keys always match a category
+ */
+
+export const MISTAKE_TYPES = ['tactical', 'positional'];
+
+const GENERIC_TIPS = {
+  tactical: 'mixed tactical puzzles around this motif',
+  positional: 'annotated master games that feature this theme'
+};
+
+// [key, label, group, description, tip]
+const DEFAULTS = {
+  tactical: [
+    ['fork', 'Fork', 'Double attacks', 'One piece attacks two targets at once.', 'fork puzzles and knight coordination drills'],
+    ['pin', 'Pin', 'Line tactics', 'A piece cannot move without exposing a more valuable one behind it.', 'pin & skewers practice'],
+    ['skewer', 'Skewer', 'Line tactics', 'A valuable piece is attacked and must move, exposing the one behind it.', 'pin & skewers practice'],
+    ['backRank', 'Back Rank Mate', 'Mating patterns', 'Mate on the first or last rank against a king boxed in by its own pawns.', 'back-rank mate pattern drills'],
+    ['discoveredAttack', 'Discovered Attack', 'Double attacks', 'Moving one piece unmasks an attack by another.', 'discovered attack puzzles'],
+    ['discoveredCheck', 'Discovered Check', 'Double attacks', 'Moving one piece unmasks a check by another.', 'discovered check puzzles'],
+    ['doubleAttack', 'Double Attack', 'Double attacks', 'Two threats created by one move.', 'double attack puzzles'],
+    ['removalOfDefender', 'Removal of Defender', 'Defender tactics', 'Capturing or chasing away the piece that guards a key square.', 'removal-of-the-defender puzzles'],
+    ['deflection', 'Deflection', 'Defender tactics', 'Forcing a defender away from the square or piece it protects.', 'deflection and overloading puzzles'],
+    ['decoy', 'Decoy', 'Defender tactics', 'Luring a piece onto a square where it can be exploited.', 'decoy and attraction puzzles'],
+    ['sacrifice', 'Sacrifice', 'Calculation', 'Giving up material for a forcing follow-up.', 'sacrifice puzzles with full calculation to the end'],
+    ['zwischenzug', 'Zwischenzug/Intermezzo', 'Calculation', 'An in-between move inserted before the expected recapture or reply.', 'zwischenzug pattern recognition'],
+    ['xRay', 'X-Ray Attack', 'Line tactics', 'A piece acts through another piece along a line.', 'x-ray and battery tactics'],
+    ['windmill', 'Windmill', 'Calculation', 'A repeated discovered check that collects material.', 'classic windmill combinations'],
+    ['desperado', 'Desperado', 'Calculation', 'A doomed piece sells itself as dearly as possible.', 'desperado and mutual-capture puzzles'],
+    ['trappedPiece', 'Trapped Piece', 'Piece safety', 'A piece with no safe squares left.', 'trapped-piece puzzles'],
+    ['hangingPiece', 'Hanging Piece', 'Piece safety', 'A piece left undefended and en prise.', 'blunder-check routines before every move'],
+    ['checkmate', 'Checkmate Pattern', 'Mating patterns', 'A mating net that was missed or allowed.', 'mate-in-two and mate-in-three puzzles'],
+    ['other', 'Other Tactical', 'Other', 'Anything that fits no other tactical category.', GENERIC_TIPS.tactical]
+  ],
+  positional: [
+    ['weakSquares', 'Weak Squares', 'Squares', 'Squares that can no longer be covered by a pawn.', 'model games on weak-square complexes'],
+    ['badBishop', 'Bad Bishop', 'Piece quality', 'A bishop hemmed in by its own pawns.', 'good vs bad bishop endgames'],
+    ['pawnStructure', 'Pawn Structure', 'Pawns', 'Pawn moves that leave lasting structural damage.', 'pawn structure studies'],
+    ['kingSafety', 'King Safety', 'King', 'Loosening the king position or leaving it exposed.', 'attacking games against the castled king'],
+    ['pieceActivity', 'Piece Activity', 'Piece quality', 'Passive pieces or missed chances to activate them.', 'piece-improvement exercises'],
+    ['spaceAdvantage', 'Space Advantage', 'Planning', 'Conceding space or failing to use a space advantage.', 'model games on using extra space'],
+    ['initiative', 'Loss of Initiative', 'Planning', 'Letting the opponent take over the game flow.', 'games where the initiative decides'],
+    ['badTrade', 'Bad Trade/Exchange', 'Piece quality', 'Exchanging into a worse position.', 'which-piece-to-trade exercises'],
+    ['wrongPlan', 'Wrong Plan', 'Planning', 'A plan that does not fit the position.', 'plan-finding exercises from typical structures'],
+    ['passedPawn', 'Passed Pawn', 'Pawns', 'Allowing, or failing to push or stop, a passed pawn.', 'passed pawn endgames'],
+    ['weakPawn', 'Weak/Isolated Pawn', 'Pawns', 'Creating or failing to exploit isolated, doubled or backward pawns.', 'isolated pawn middlegames'],
+    ['outpost', 'Outpost Squares', 'Squares', 'Giving up or not using a protected outpost.', 'model games on knight outposts'],
+    ['openFile', 'Open File Control', 'Squares', 'Ceding an open file to the opponent\'s rooks.', 'rook-on-the-open-file exercises'],
+    ['coordination', 'Piece Coordination', 'Piece quality', 'Pieces that do not work together.', 'piece coordination exercises'],
+    ['prophylaxis', 'Lack of Prophylaxis', 'Planning', 'Not asking what the opponent wants to do.', 'prophylactic thinking drills'],
+    ['other', 'Other Positional', 'Other', 'Anything that fits no other positional category.', GENERIC_TIPS.positional]
+  ]
+};
+
+export const categoryId = (type, key) => `${type}:${key}`;
+
+// The taxonomy a new database starts with
+export const defaultTaxonomy = () =>
+  MISTAKE_TYPES.flatMap(type =>
+    DEFAULTS[type].map(([key, label, group, description, tip], order) => ({
+      id: categoryId(type, key),
+      type,
+      key,
+      label,
+      description,
+      group,
+      tip,
+      order
+    }))
+  );
+
+// "badBishop" -> "Bad Bishop", for keys the taxonomy doesn't know
+export const humanizeKey = k =>
+  k
+    ? k
+        .replace(/([A-Z])/g, ' $1')
+        .replace(/_/g, ' ')
+        .trim()
+        .replace(/^./, c => c.toUpperCase())
+    : '';
+
+// Category for a mistake key; without `type`, tactical categories are tried first
+export const findCategory = (taxonomy, key, type = null) =>
+  taxonomy.find(c => c.key === key && (!type || c.type === type)) || null;
+
+export const categoryLabel = (taxonomy, key, type = null) => {
+  const category = findCategory(taxonomy, key, type);
+  return category ? category.label : humanizeKey(key);
+};
+
+export const categoryTip = (taxonomy, key, type = null) => {
+  const category = findCategory(taxonomy, key, type);
+  if (category && category.tip) return category.tip;
+  return GENERIC_TIPS[(category && category.type) || type || 'tactical'];
+};
+
+export const mistakeCategoryKey = mistake =>
+  mistake.mistakeType === 'tactical' ? mistake.tacticType : mistake.positionalType;
+
+export const mistakeLabel = (taxonomy, mistake) =>
+  categoryLabel(taxonomy, mistakeCategoryKey(mistake), mistake.mistakeType);
+
+// Categories of one type as [[group, categories]], both in taxonomy order
+export const groupedCategories = (taxonomy, type) => {
+  const groups = new Map();
+  taxonomy
+    .filter(c => c.type === type)
+    .sort((a, b) => a.order - b.order)
+    .forEach((c) => {
+      const group = c.group || 'Other';
+      groups.set(group, [...(groups.get(group) || []), c]);
+    });
+  return [...groups.entries()];
+};
+
+// "Knight Fork / Skewer" -> "knightForkSkewer"
+export const keyFromLabel = label =>
+  label
+    .trim()
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map((word, i) =>
+      i === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
+    )
+    .join('');
+
+const typeField = type => (type === 'tactical' ? 'tacticType' : 'positionalType');
+
+// Mistakes filed under `type`/`key`, counted over all games
+export const categoryUsage = (games, type, key) =>
+  games.reduce(
+    (n, g) => n + (g.mistakes || []).filter(m => m.mistakeType === type && m[typeField(type)] === key).length,
+    0
+  );
+
+// One game with its `type`/`from` mistakes moved to `to`; the same object
+// when none match. `remap` is the { type, from, to } a plan carries.
+export const remapGame = (game, { type, from, to }) => {
+  const field = typeField(type);
+  const hit = (game.mistakes || []).some(m => m.mistakeType === type && m[field] === from);
+  if (!hit) return game;
+  return {
+    ...game,
+    mistakes: game.mistakes.map(m =>
+      m.mistakeType === type && m[field] === from ? { ...m, [field]: to } : m
+    )
+  };
+};
+
+/**
+ * Games whose mistakes are filed under `type`/`fromKey`, with those mistakes
+ * moved to `toKey`. Games without such mistakes are left out.
+ */
+export const remapMistakes = (games, type, fromKey, toKey) =>
+  games.flatMap((game) => {
+    const moved = remapGame(game, { type, from: fromKey, to: toKey });
+    return moved === game ? [] : [moved];
+  });
+
+/**
+ * Plan for saving an edited category:
+ * { put: [category], remove: [ids], games: [changed games], remap } or { error }.
+ * Only a changed label re-keys the category; its mistakes then move to the
+ * new key and `remap` is { type, from, to } (null otherwise). Default keys
+ * don't always follow keyFromLabel, so an unchanged label keeps its key.
+ */
+export const planCategoryEdit = (taxonomy, games, category, changes) => {
+  const label = (changes.label || '').trim();
+  if (!label) return { error: 'A category needs a name.' };
+  const key = label === category.label ? category.key : keyFromLabel(label);
+  if (!key) return { error: 'Use at least one letter or digit in the name.' };
+
+  const updated = { ...category, ...changes, label, key, id: categoryId(category.type, key) };
+  if (key === category.key) return { put: [updated], remove: [], games: [], remap: null };
+
+  if (findCategory(taxonomy, key, category.type)) {
+    return { error: `"${label}" already exists. Merge into it instead.` };
+  }
+  return {
+    put: [updated],
+    remove: taxonomy.some(c => c.id === category.id) ? [category.id] : [],
+    games: remapMistakes(games, category.type, category.key, key),
+    remap: category.key ? { type: category.type, from: category.key, to: key } : null
+  };
+};
+
+// Plan for merging `source` into `target` (same type): source goes, its mistakes move
+export const planCategoryMerge = (games, source, target) => ({
+  put: [],
+  remove: [source.id],
+  games: remapMistakes(games, source.type, source.key, target.key),
+  remap: { type: source.type, from: source.key, to: target.key }
+});
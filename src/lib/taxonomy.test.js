@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { defaultTaxonomy, findCategory, planCategoryEdit, planCategoryMerge, remapGame } from './taxonomy.js';
+
+const game = (id, tacticType) => ({
+  id,
+  mistakes: [{ id: id + 1, mistakeType: 'tactical', tacticType }]
+});
+
+const taxonomy = defaultTaxonomy();
+const backRank = findCategory(taxonomy, 'backRank', 'tactical');
+const games = [game(1000, 'backRank'), game(2000, 'fork')];
+
+describe('planCategoryEdit', () => {
+  it('keeps the key when only the tip changes', () => {
+    const plan = planCategoryEdit(taxonomy, games, backRank, { ...backRank, tip: 'x' });
+    expect(plan).toEqual({ put: [{ ...backRank, tip: 'x' }], remove: [], games: [], remap: null });
+  });
+
+  it('re-keys a renamed category and moves its mistakes', () => {
+    const plan = planCategoryEdit(taxonomy, games, backRank, { ...backRank, label: 'Corridor Mate' });
+    expect(plan.put[0]).toMatchObject({ id: 'tactical:corridorMate', key: 'corridorMate' });
+    expect(plan.remove).toEqual(['tactical:backRank']);
+    expect(plan.games.map(g => g.mistakes[0].tacticType)).toEqual(['corridorMate']);
+    expect(plan.remap).toEqual({ type: 'tactical', from: 'backRank', to: 'corridorMate' });
+  });
+
+  it('keys a new category from its label', () => {
+    const draft = { id: '', type: 'tactical', key: '', label: '', group: 'Other', tip: '' };
+    const plan = planCategoryEdit(taxonomy, games, draft, { ...draft, label: 'Zwischenzug Miss' });
+    expect(plan).toMatchObject({ remove: [], games: [], remap: null });
+    expect(plan.put[0].id).toBe('tactical:zwischenzugMiss');
+  });
+});
+
+describe('remapGame', () => {
+  it('returns the same game when nothing matches', () => {
+    const plan = planCategoryMerge(games, backRank, findCategory(taxonomy, 'fork', 'tactical'));
+    expect(remapGame(games[1], plan.remap)).toBe(games[1]);
+    expect(remapGame(games[0], plan.remap).mistakes[0].tacticType).toBe('fork');
+  });
+});
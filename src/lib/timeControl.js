@@ -0,0 +1,104 @@
+/**
+ * Time controls
+ * - A game stores its clock as `baseSeconds` + `incrementSeconds`, or as
+ *   `secondsPerMove` for daily games; all three are null when unknown
+ * - `timeControl` holds the category, derived from the clock with the usual
+ *   thresholds on base + 40 × increment; correspondence can only be picked
+ *   by hand since PGNs export it as "-"
+ * - Stats group by category or by the exact control ("5+3")
+ */
+
+export const TIME_CONTROL_CATEGORIES = [
+  { value: 'bullet', label: 'Bullet' },
+  { value: 'blitz', label: 'Blitz' },
+  { value: 'rapid', label: 'Rapid' },
+  { value: 'classical', label: 'Classical' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'correspondence', label: 'Correspondence' }
+];
+
+// Upper bounds (exclusive) on base + 40 × increment, in seconds
+const CATEGORY_LIMITS = [
+  { value: 'bullet', max: 180 },
+  { value: 'blitz', max: 480 },
+  { value: 'rapid', max: 1500 },
+  { value: 'classical', max: Infinity }
+];
+
+export const TIME_CONTROL_GROUPINGS = [
+  { value: 'category', label: 'By category' },
+  { value: 'exact', label: 'By exact control' }
+];
+
+export const noTimeControl = () => ({ baseSeconds: null, incrementSeconds: null, secondsPerMove: null });
+
+const DAY = 86400;
+
+// PGN TimeControl tag: "300+3", "600", "1/86400"; null for "-", "?" and anything else
+export const parseTimeControlTag = (value) => {
+  const tag = (value || '').trim();
+  const clock = /^(\d+)(?:\+(\d+))?$/.exec(tag);
+  if (clock) {
+    return { baseSeconds: Number(clock[1]), incrementSeconds: Number(clock[2] || 0), secondsPerMove: null };
+  }
+  const perMove = /^1\/(\d+)$/.exec(tag);
+  if (perMove) return { ...noTimeControl(), secondsPerMove: Number(perMove[1]) };
+  return null;
+};
+
+/**
+ * Typed time control: minutes + increment seconds ("5+3", "10", "0.5+0"),
+ * days per move ("1d", "3 days") or a PGN per-move tag ("1/86400").
+ * Returns the clock fields, null for an empty string, or { error }.
+ */
+export const parseTimeControlInput = (text) => {
+  const value = (text || '').trim().toLowerCase();
+  if (!value) return null;
+  const clock = /^(\d+(?:\.\d+)?)\s*(?:\+\s*(\d+))?$/.exec(value);
+  if (clock) {
+    return {
+      baseSeconds: Math.round(Number(clock[1]) * 60),
+      incrementSeconds: Number(clock[2] || 0),
+      secondsPerMove: null
+    };
+  }
+  const days = /^(\d+)\s*(?:d|days?)$/.exec(value);
+  if (days) return { ...noTimeControl(), secondsPerMove: Number(days[1]) * DAY };
+  const tag = parseTimeControlTag(value);
+  if (tag && tag.secondsPerMove) return tag;
+  return { error: 'Enter the time control as minutes+increment (5+3) or days per move (3d).' };
+};
+
+// Category for the clock fields, or null when they are unknown
+export const timeControlCategory = ({ baseSeconds, incrementSeconds, secondsPerMove }) => {
+  if (secondsPerMove) return 'daily';
+  if (baseSeconds === null || baseSeconds === undefined) return null;
+  const estimated = baseSeconds + 40 * (incrementSeconds || 0);
+  return CATEGORY_LIMITS.find(c => estimated < c.max).value;
+};
+
+// Clock fields back to a PGN TimeControl tag; '' when unknown
+export const timeControlTag = ({ baseSeconds, incrementSeconds, secondsPerMove }) => {
+  if (secondsPerMove) return `1/${secondsPerMove}`;
+  if (baseSeconds === null || baseSeconds === undefined) return '';
+  return incrementSeconds ? `${baseSeconds}+${incrementSeconds}` : String(baseSeconds);
+};
+
+const MINUTE_FRACTIONS = { 15: '¼', 30: '½', 45: '¾' };
+
+// "5+3", "½+0", "3 days/move"; '' when the clock is unknown
+export const formatTimeControl = ({ baseSeconds, incrementSeconds, secondsPerMove }) => {
+  if (secondsPerMove) {
+    const days = secondsPerMove / DAY;
+    return Number.isInteger(days)
+      ? `${days} day${days !== 1 ? 's' : ''}/move`
+      : `${Math.round(secondsPerMove / 3600)}h/move`;
+  }
+  if (baseSeconds === null || baseSeconds === undefined) return '';
+  const minutes = MINUTE_FRACTIONS[baseSeconds] || String(Number((baseSeconds / 60).toFixed(2)));
+  return `${minutes}+${incrementSeconds || 0}`;
+};
+
+// Grouping key for stats: the category, or the exact control where known
+export const timeControlKey = (game, grouping = 'category') =>
+  (grouping === 'exact' && formatTimeControl(game)) || game.timeControl || 'unknown';
@@ -0,0 +1,139 @@
+import { parsePgn } from './pgn.js';
+import { parseClockComment } from './clock.js';
+import { parseTimeControlTag, timeControlKey } from './timeControl.js';
+
+/**
+ * Time management from [%clk] annotations
+ * - Time spent on a move is the mover's previous clock plus the increment
+ *   minus the clock after it; a move without a reading breaks the chain
+ * - The starting clock comes from the PGN TimeControl tag or the game's stored
+ *   control, otherwise from the highest reading in the game
+ * - Time trouble is being left with less than TIME_TROUBLE_SHARE of the
+ *   starting clock after one of our moves
+ */
+
+export const TIME_TROUBLE_SHARE = 0.1;
+
+// Our first OPENING_MOVES moves count as the opening
+export const OPENING_MOVES = 10;
+
+const RESULT_POINTS = { win: 1, draw: 0.5, loss: 0 };
+
+/**
+ * Clock readings and time spent per move of a PGN:
+ * { base, increment, moves: [{ ply, color, san, clock, spent }] }.
+ * `clock` and `spent` are seconds or null. `control` ({ baseSeconds,
+ * incrementSeconds }) stands in for a missing TimeControl tag. Returns null
+ * when the PGN doesn't parse or carries no [%clk] comments.
+ */
+export const moveTimes = (pgn, control = null) => {
+  if (!pgn) return null;
+  let parsed;
+  try {
+    parsed = parsePgn(pgn);
+  } catch {
+    return null;
+  }
+  const readings = parsed.moves.map((move) => {
+    const clock = move.comments.map(parseClockComment).find(s => s !== null);
+    return { ply: move.ply, color: move.color, san: move.san, clock: clock ?? null };
+  });
+  const known = readings.filter(m => m.clock !== null);
+  if (known.length === 0) return null;
+
+  const tag = parseTimeControlTag(parsed.tags.TimeControl);
+  const clock = [tag, control].find(c => c && c.baseSeconds !== null && c.baseSeconds !== undefined);
+  const base = clock ? clock.baseSeconds : Math.max(...known.map(m => m.clock));
+  const increment = clock ? clock.incrementSeconds || 0 : 0;
+
+  // Previous clock per side; the first move is measured from the starting clock
+  const previous = { w: base, b: base };
+  const first = { w: true, b: true };
+  const moves = readings.map((move) => {
+    const before = previous[move.color];
+    let spent = null;
+    if (move.clock !== null && before !== null) {
+      spent = Math.max(0, before + (first[move.color] ? 0 : increment) - move.clock);
+    }
+    previous[move.color] = move.clock;
+    first[move.color] = false;
+    return { ...move, spent };
+  });
+  return { base, increment, moves };
+};
+
+const mean = values => (values.length ? values.reduce((s, v) => s + v, 0) / values.length : null);
+
+/**
+ * Our side of one game's clock:
+ * { base, increment, moves, openingAverage, openingShare, lowClockMoves, timeTrouble }
+ * or null without clock readings. openingAverage is seconds per move over the
+ * first OPENING_MOVES moves and openingShare the fraction of the starting
+ * clock they used; lowClockMoves counts moves left under TIME_TROUBLE_SHARE.
+ */
+export const gameTimeUsage = (game) => {
+  const times = moveTimes(game.pgn, game);
+  if (!times) return null;
+  const side = game.color === 'black' ? 'b' : 'w';
+  const moves = times.moves.filter(m => m.color === side && m.clock !== null);
+  if (moves.length === 0) return null;
+
+  const opening = moves
+    .slice(0, OPENING_MOVES)
+    .map(m => m.spent)
+    .filter(s => s !== null);
+  const lowClockMoves = moves.filter(m => m.clock < times.base * TIME_TROUBLE_SHARE).length;
+  return {
+    base: times.base,
+    increment: times.increment,
+    moves,
+    openingAverage: mean(opening),
+    openingShare: opening.length && times.base ? opening.reduce((s, v) => s + v, 0) / times.base : null,
+    lowClockMoves,
+    timeTrouble: lowClockMoves > 0
+  };
+};
+
+/**
+ * Time management per time control (grouped as timeControlKey does), over
+ * games with clock readings:
+ * { [timeControl]: { games, openingAverage, openingShare, lowClockShare,
+ *   troubleGames, troubleScore, otherScore } }.
+ * Shares and scores are % (scores count a draw as half); a score is null
+ * when there are no games on that side of the split.
+ */
+export const timeManagementStats = (games, grouping = 'category') => {
+  const groups = {};
+  games.forEach((game) => {
+    const usage = gameTimeUsage(game);
+    if (!usage) return;
+    const key = timeControlKey(game, grouping);
+    (groups[key] = groups[key] || []).push({ game, usage });
+  });
+
+  const score = list =>
+    list.length
+      ? (list.reduce((s, { game }) => s + (RESULT_POINTS[game.result] ?? 0), 0) / list.length) * 100
+      : null;
+
+  return Object.fromEntries(
+    Object.entries(groups).map(([key, list]) => {
+      const trouble = list.filter(({ usage }) => usage.timeTrouble);
+      const moves = list.reduce((s, { usage }) => s + usage.moves.length, 0);
+      const lowClock = list.reduce((s, { usage }) => s + usage.lowClockMoves, 0);
+      const openingShares = list.map(({ usage }) => usage.openingShare).filter(s => s !== null);
+      return [
+        key,
+        {
+          games: list.length,
+          openingAverage: mean(list.map(({ usage }) => usage.openingAverage).filter(s => s !== null)),
+          openingShare: openingShares.length ? mean(openingShares) * 100 : null,
+          lowClockShare: (lowClock / moves) * 100,
+          troubleGames: trouble.length,
+          troubleScore: score(trouble),
+          otherScore: score(list.filter(({ usage }) => !usage.timeTrouble))
+        }
+      ];
+    })
+  );
+};
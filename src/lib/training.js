@@ -0,0 +1,158 @@
+import { parseFen, sanToMove, legalMoves, moveToSan } from './chess.js';
+import { mistakeCategoryKey } from './taxonomy.js';
+
+/**
+ * Puzzle trainer
+ * - Every logged mistake with a position and a legal better move is a card
+ * - Cards are scheduled with SM-2: a review is graded 0-5, a grade below 3
+ *   starts the card over, otherwise the interval grows by the easiness factor
+ * - Review state lives in the IndexedDB `reviews` store (lib/db.js) as
+ *   { id, easiness, interval, repetitions, due, lastReviewed, attempts, successes }
+ */
+
+export const DEFAULT_EASINESS = 2.5;
+export const MIN_EASINESS = 1.3;
+
+// Grades the trainer hands out
+export const GRADES = {
+  failed: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+};
+
+export const cardId = (gameId, mistakeId) => `${gameId}:${mistakeId}`;
+
+const isoDay = date => date.toISOString().split('T')[0];
+
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return isoDay(date);
+};
+
+export const today = () => isoDay(new Date());
+
+/**
+ * Puzzle cards from the games' mistakes:
+ * [{ id, gameId, mistake, fen, solution, solutionSan, orientation, key }].
+ * `solution` is the better move as a move object; mistakes whose position or
+ * better move doesn't parse are left out.
+ */
+export const puzzleCards = games =>
+  games.flatMap(game =>
+    (game.mistakes || []).flatMap((mistake) => {
+      if (!mistake.fen || !mistake.betterMove) return [];
+      let pos;
+      let solution;
+      try {
+        pos = parseFen(mistake.fen);
+        solution = sanToMove(pos, mistake.betterMove);
+      } catch {
+        return [];
+      }
+      if (!solution) return [];
+      return [
+        {
+          id: cardId(game.id, mistake.id),
+          gameId: game.id,
+          mistake,
+          fen: mistake.fen,
+          solution,
+          solutionSan: moveToSan(pos, solution),
+          orientation: pos.turn === 'w' ? 'white' : 'black',
+          key: mistakeCategoryKey(mistake)
+        }
+      ];
+    })
+  );
+
+export const newReview = (id, day = today()) => ({
+  id,
+  easiness: DEFAULT_EASINESS,
+  interval: 0,
+  repetitions: 0,
+  due: day,
+  lastReviewed: null,
+  attempts: 0,
+  successes: 0
+});
+
+/**
+ * SM-2 step: the review after grading it `grade` (0-5) on `day`.
+ * Grades of 3 and up count as solved.
+ */
+export const gradeReview = (review, grade, day = today()) => {
+  const passed = grade >= 3;
+  const repetitions = passed ? review.repetitions + 1 : 0;
+  let interval = 1;
+  if (passed && repetitions === 2) interval = 6;
+  else if (passed && repetitions > 2) interval = Math.round(review.interval * review.easiness);
+  const easiness = Math.max(
+    MIN_EASINESS,
+    review.easiness + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)
+  );
+
+  return {
+    ...review,
+    easiness,
+    interval,
+    repetitions,
+    due: addDays(day, interval),
+    lastReviewed: day,
+    attempts: review.attempts + 1,
+    successes: review.successes + (passed ? 1 : 0)
+  };
+};
+
+/**
+ * Cards due on `day`, most overdue first; cards never reviewed come last.
+ * `reviews` maps card id to review.
+ */
+export const dueCards = (cards, reviews, day = today()) =>
+  cards
+    .filter(card => !reviews[card.id] || reviews[card.id].due <= day)
+    .sort((a, b) => {
+      const dueA = reviews[a.id] ? reviews[a.id].due : '9999';
+      const dueB = reviews[b.id] ? reviews[b.id].due : '9999';
+      return dueA.localeCompare(dueB) || a.id.localeCompare(b.id);
+    });
+
+/**
+ * The legal move from `from` to `to` in `fen`, or null. A promotion takes
+ * `promotion` (a piece letter) when given, otherwise a queen.
+ */
+export const findMove = (fen, from, to, promotion = null) => {
+  const candidates = legalMoves(parseFen(fen)).filter(m => m.from === from && m.to === to);
+  if (candidates.length <= 1) return candidates[0] || null;
+  const wanted = (promotion || 'q').toLowerCase();
+  return candidates.find(m => m.promotion && m.promotion.toLowerCase() === wanted) || null;
+};
+
+export const isSolution = (card, move) =>
+  Boolean(move) &&
+  move.from === card.solution.from &&
+  move.to === card.solution.to &&
+  (move.promotion || null) === (card.solution.promotion || null);
+
+/**
+ * Solve rate per mistake key over all reviews:
+ * { [key]: { cards, attempts, successes, rate } }, rate in % or null when
+ * none of the key's cards has been tried yet.
+ */
+export const trainingStats = (cards, reviews) => {
+  const stats = {};
+  cards.forEach((card) => {
+    const stat = (stats[card.key] = stats[card.key] || { cards: 0, attempts: 0, successes: 0 });
+    const review = reviews[card.id];
+    stat.cards++;
+    if (review) {
+      stat.attempts += review.attempts;
+      stat.successes += review.successes;
+    }
+  });
+  Object.values(stats).forEach((stat) => {
+    stat.rate = stat.attempts ? (stat.successes / stat.attempts) * 100 : null;
+  });
+  return stats;
+};
@@ -0,0 +1,67 @@
+/**
+ * Undo/redo history for game mutations
+ * - Every entry is { id, label, before, after }: one game before and after a
+ *   change; `before` is null for an added game and `after` for a deleted one
+ * - Only the user's own edits are recorded; background engine analysis is
+ *   saved outside the history
+ * - Kept in sessionStorage, so it survives reloads but not closing the tab
+ */
+
+const STORAGE_KEY = 'chessTrackerUndoHistory';
+const MAX_ENTRIES = 50;
+
+export const emptyHistory = () => ({ past: [], future: [] });
+
+export const loadHistory = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    return stored && Array.isArray(stored.past) && Array.isArray(stored.future)
+      ? stored
+      : emptyHistory();
+  } catch {
+    return emptyHistory();
+  }
+};
+
+export const saveHistory = (history) => {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (err) {
+    // Quota errors only cost us undo after a reload
+    console.warn('Could not persist undo history:', err);
+  }
+};
+
+// Every stored game snapshot passed through `fn`, e.g. when a category
+// rename re-keys mistakes outside the history
+export const mapHistoryGames = (history, fn) => {
+  const mapEntry = entry => ({
+    ...entry,
+    before: entry.before && fn(entry.before),
+    after: entry.after && fn(entry.after)
+  });
+  return { past: history.past.map(mapEntry), future: history.future.map(mapEntry) };
+};
+
+// A new change drops anything that was undone
+export const recordChange = (history, entry) => ({
+  past: [...history.past, entry].slice(-MAX_ENTRIES),
+  future: []
+});
+
+// Returns { history, entry }; entry is null when there is nothing to undo, or
+// when `entryId` is given and that entry is no longer the latest change
+export const undoChange = (history, entryId = null) => {
+  const entry = history.past[history.past.length - 1];
+  if (!entry || (entryId !== null && entry.id !== entryId)) return { history, entry: null };
+  return {
+    history: { past: history.past.slice(0, -1), future: [entry, ...history.future] },
+    entry
+  };
+};
+
+export const redoChange = (history) => {
+  const [entry, ...future] = history.future;
+  if (!entry) return { history, entry: null };
+  return { history: { past: [...history.past, entry], future }, entry };
+};
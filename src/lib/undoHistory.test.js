@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { emptyHistory, recordChange, undoChange, redoChange } from './undoHistory.js';
+
+const entry = (id, label) => ({ id, label, before: null, after: { id: 1000 } });
+
+describe('undoChange', () => {
+  const history = recordChange(recordChange(emptyHistory(), entry(1, 'Delete mistake')), entry(2, 'Add mistake'));
+
+  it('undoes the latest change and makes it redoable', () => {
+    const { history: next, entry: undone } = undoChange(history);
+    expect(undone.id).toBe(2);
+    expect(redoChange(next).entry.id).toBe(2);
+  });
+
+  it('undoes a given entry only while it is the latest change', () => {
+    expect(undoChange(history, 1)).toEqual({ history, entry: null });
+    expect(undoChange(history, 2).entry.label).toBe('Add mistake');
+  });
+});